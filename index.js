@@ -1,257 +1,273 @@
 const express = require('express');
 const cors = require('cors');
-const QRCode = require('qrcode');
-const pino = require('pino');
-const { Boom } = require('@hapi/boom');
-const { 
-  default: makeWASocket, 
-  DisconnectReason, 
-  useMultiFileAuthState,
-  fetchLatestBaileysVersion,
-  makeCacheableSignalKeyStore
-} = require('@whiskeysockets/baileys');
-const fs = require('fs');
+const path = require('path');
+const { logger, logBuffer, requestLogger, LOG_LEVEL, LOG_REDACT } = require('./src/logger');
+const { SessionManager } = require('./src/sessionManager');
+const { createAuthStore } = require('./src/authState');
+const { Metrics } = require('./src/metrics');
+const { ApiKeys, hasScope } = require('./src/apiKeys');
+const { createAuth } = require('./src/auth');
+const { Webhooks } = require('./src/webhooks');
+const { Rules } = require('./src/rules');
+const { EventStream, handleSse, attachWebSocket } = require('./src/eventStream');
+const { createSessionRouter } = require('./src/routes/session');
+const { createSessionsRouter } = require('./src/routes/sessions');
+const { createWebhookRouter } = require('./src/routes/webhooks');
+const { createKeyRouter } = require('./src/routes/keys');
+const { createRuleRouter } = require('./src/routes/rules');
+const { createSimulatorRouter } = require('./src/routes/simulator');
+const { createSocketFactory } = require('./src/socket');
+const { Lifecycle } = require('./src/lifecycle');
+const { spec, DOCS_HTML } = require('./src/openapi');
+const { createValidator } = require('./src/validation');
+const { sendError, errorHandler, routeNotFound } = require('./src/errors');
 
 // ============ CONFIG ============
 const PORT = process.env.PORT || 3000;
 const AUTH_FOLDER = './auth_state';
+const DATA_DIR = process.env.DATA_DIR || './data';
+const AUTH_STORE = process.env.AUTH_STORE || 'file';
+const AUTH_SQLITE_FILE = process.env.AUTH_SQLITE_FILE || path.join(DATA_DIR, 'auth.sqlite');
+const AUTH_ENCRYPTION_KEY = process.env.AUTH_ENCRYPTION_KEY || null;
+const MESSAGE_RETENTION = parseInt(process.env.MESSAGE_RETENTION, 10) || 10000;
+const MEDIA_CACHE_MAX_MB = parseInt(process.env.MEDIA_CACHE_MAX_MB, 10) || 500;
+const MEDIA_UPLOAD_MAX_MB = parseInt(process.env.MEDIA_UPLOAD_MAX_MB, 10) || 64;
+const DEFAULT_SESSION = process.env.DEFAULT_SESSION || 'default';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+// 'baileys' connects to WhatsApp; 'simulator' plays SIMULATOR_FIXTURE instead
+const WA_MODE = process.env.WA_MODE || 'baileys';
+const SIMULATOR_FIXTURE = process.env.SIMULATOR_FIXTURE || path.join(__dirname, 'src', 'fixtures', 'simulator.json');
+// Keep below the platform's grace period (Docker and Railway kill after 10s)
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 8000;
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean)
+  : '*';
 
 // ============ EXPRESS SETUP ============
 const app = express();
-app.use(cors({ origin: '*' }));
+const lifecycle = new Lifecycle({ timeoutMs: SHUTDOWN_TIMEOUT_MS });
+app.use(requestLogger());
+app.use(lifecycle.middleware());
+app.use(cors({ origin: CORS_ORIGINS }));
 app.use(express.json());
 
-// ============ LOGGER ============
-const logger = pino({ level: 'silent' });
-
-// ============ STATE ============
-let sock = null;
-let qrCode = null;
-let connectionStatus = 'initializing';
-let userInfo = null;
+// ============ VALIDATION ============
+// Parameters and bodies are checked against the OpenAPI document
+const validate = createValidator(spec);
 
-// ============ WHATSAPP CONNECTION ============
-async function connectWhatsApp() {
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('🚀 Starting WhatsApp connection...');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  
-  connectionStatus = 'connecting';
-  qrCode = null;
+// ============ AUTH ============
+const apiKeys = new ApiKeys(path.join(DATA_DIR, 'api-keys.json'), { masterKey: ADMIN_API_KEY });
+const { requireScope, authorizeUpgrade } = createAuth(apiKeys);
 
-  try {
-    // Ensure auth folder exists
-    if (!fs.existsSync(AUTH_FOLDER)) {
-      fs.mkdirSync(AUTH_FOLDER, { recursive: true });
-    }
-
-    // Load auth state
-    const { state, saveCreds } = await useMultiFileAuthState(AUTH_FOLDER);
-    
-    // Get latest WA version
-    const { version, isLatest } = await fetchLatestBaileysVersion();
-    console.log(`📱 Using WA v${version.join('.')}, isLatest: ${isLatest}`);
+// Status-only keys still get connection/QR events, but not chat content.
+// `key` is undefined while auth is off.
+function streamAccess(key) {
+  return !key || hasScope(key, 'read:chats') ? {} : { chatEvents: false };
+}
 
-    // Create socket - minimal config following official docs
-    sock = makeWASocket({
-      version,
-      logger,
-      printQRInTerminal: true,
-      auth: {
-        creds: state.creds,
-        keys: makeCacheableSignalKeyStore(state.keys, logger)
-      },
-      browser: ['FocusWave', 'Chrome', '120.0.0'],
-      generateHighQualityLinkPreview: false
-    });
+// ============ LOGGER ============
+// Configured from LOG_LEVEL and LOG_REDACT in src/logger.js
+const MAX_LOG_TAIL = 1000;
 
-    // ===== CONNECTION EVENTS =====
-    sock.ev.on('connection.update', async (update) => {
-      const { connection, lastDisconnect, qr } = update;
-      
-      console.log(`Connection update: ${JSON.stringify({ connection, hasQr: !!qr })}`);
-      
-      // QR Code received
-      if (qr) {
-        console.log('📲 QR Code generated - scan with WhatsApp!');
-        connectionStatus = 'waiting_for_scan';
-        try {
-          qrCode = await QRCode.toDataURL(qr);
-        } catch (err) {
-          console.error('Failed to generate QR:', err.message);
-        }
-      }
+// ============ EVENTS ============
+const webhooks = new Webhooks(DATA_DIR);
+const eventStream = new EventStream();
 
-      // Connection opened
-      if (connection === 'open') {
-        console.log('✅ Connected to WhatsApp!');
-        connectionStatus = 'connected';
-        qrCode = null;
-        userInfo = {
-          name: sock.user?.name || 'Unknown',
-          id: sock.user?.id?.split(':')[0] || 'Unknown'
-        };
-        console.log(`👤 Logged in as: ${userInfo.name} (${userInfo.id})`);
-      }
+// Everything FocusWave can subscribe to goes through here
+function publishEvent(type, data) {
+  eventStream.publish(type, data);
+  webhooks.dispatch(type, data);
+}
 
-      // Connection closed
-      if (connection === 'close') {
-        const error = lastDisconnect?.error;
-        const statusCode = error?.output?.statusCode;
-        const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
-        
-        console.log(`🔌 Connection closed. Code: ${statusCode}, Error: ${error?.message || 'none'}, Reconnect: ${shouldReconnect}`);
-        
-        connectionStatus = 'disconnected';
-        qrCode = null;
-        userInfo = null;
+// ============ SESSIONS ============
+const authStore = createAuthStore({
+  type: AUTH_STORE,
+  dir: AUTH_FOLDER,
+  sqliteFile: AUTH_SQLITE_FILE,
+  encryptionKey: AUTH_ENCRYPTION_KEY
+});
 
-        if (statusCode === DisconnectReason.loggedOut) {
-          console.log('🚪 Logged out - clearing session...');
-          clearAuthState();
-        }
-        
-        if (shouldReconnect) {
-          console.log('🔄 Reconnecting in 5s...');
-          setTimeout(connectWhatsApp, 5000);
-        }
-      }
-    });
+const rules = new Rules(path.join(DATA_DIR, 'rules.json'));
+const { createSocket, simulator } = createSocketFactory({ mode: WA_MODE, fixture: SIMULATOR_FIXTURE });
 
-    // ===== CREDENTIALS UPDATE =====
-    sock.ev.on('creds.update', saveCreds);
+const sessions = new SessionManager({
+  authStore,
+  authRoot: AUTH_FOLDER,
+  dataDir: DATA_DIR,
+  defaultSessionId: DEFAULT_SESSION,
+  logger,
+  messageRetention: MESSAGE_RETENTION,
+  mediaCacheBytes: MEDIA_CACHE_MAX_MB * 1024 * 1024,
+  rules,
+  onEvent: publishEvent,
+  createSocket
+});
 
-  } catch (err) {
-    console.error('❌ Connection error:', err.message);
-    connectionStatus = 'error';
-    setTimeout(connectWhatsApp, 5000);
-  }
-}
+const metrics = new Metrics({ sessions });
+app.use(metrics.middleware());
 
-function clearAuthState() {
-  try {
-    if (fs.existsSync(AUTH_FOLDER)) {
-      fs.rmSync(AUTH_FOLDER, { recursive: true, force: true });
-      console.log('🧹 Auth state cleared');
-    }
-  } catch (e) {
-    console.error('Failed to clear auth state:', e.message);
-  }
+// Current state sent to stream clients when they connect: the session
+// they filtered on, or the default one
+function streamSnapshot(filter) {
+  const session = (filter.sessionIds?.length === 1 && sessions.get(filter.sessionIds[0]))
+    || sessions.getDefault();
+  return session.snapshot();
 }
 
 // ============ API ROUTES ============
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
+// Liveness: the process is up and answering. `/health` is kept for
+// existing deploy health checks.
+function liveness(req, res) {
+  res.json({
     status: 'ok',
-    connected: connectionStatus === 'connected',
+    connected: sessions.getDefault().isConnected(),
     uptime: Math.floor(process.uptime())
   });
-});
+}
+app.get('/health', validate('getHealth'), liveness);
+app.get('/health/live', validate('getLiveness'), liveness);
 
-// Connection status
-app.get('/status', (req, res) => {
-  res.json({
-    status: connectionStatus,
-    connected: connectionStatus === 'connected',
-    hasQR: qrCode !== null,
-    user: userInfo
+// Readiness: the default session is connected and can send and receive
+app.get('/health/ready', validate('getReadiness'), (req, res) => {
+  const session = sessions.getDefault();
+  const ready = session.isConnected();
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    sessions: sessions.list().map(s => ({
+      id: s.id,
+      status: s.status,
+      connected: s.isConnected(),
+      since: s.statusSince,
+      lastError: s.statusHistory.findLast(e => e.error)?.error || null
+    }))
   });
 });
 
-// Get QR code
-app.get('/qr', (req, res) => {
-  if (connectionStatus === 'connected') {
-    return res.json({ 
-      status: 'connected',
-      message: 'Already connected to WhatsApp',
-      qr: null 
-    });
-  }
+// Prometheus scrape endpoint
+app.get('/metrics', requireScope('read:status'), validate('getMetrics'), (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
 
-  if (!qrCode) {
-    return res.status(202).json({ 
-      status: connectionStatus,
-      message: 'QR code not ready yet, please wait...',
-      qr: null 
-    });
-  }
+// Server-Sent Events (?types=&chatId=&sessionId=, resumes from Last-Event-ID).
+// WebSocket clients connect to the same path with the same query.
+app.get('/events', requireScope('read:status'), validate('streamEvents'), (req, res) => {
+  handleSse(eventStream, req, res, streamSnapshot, streamAccess(req.apiKey));
+});
 
-  res.json({ 
-    status: 'waiting_for_scan',
-    qr: qrCode 
+// Recent log entries, oldest first (?limit=&level=&sessionId=&requestId=)
+app.get('/logs', requireScope('admin'), validate('getLogs'), (req, res) => {
+  const limit = req.query.limit === undefined ? 200 : parseInt(req.query.limit, 10);
+  const entries = logBuffer.tail({
+    limit: Math.min(limit, MAX_LOG_TAIL),
+    level: req.query.level,
+    sessionId: req.query.sessionId,
+    requestId: req.query.requestId
   });
+  res.json({ count: entries.length, entries });
 });
 
-// Get all group chats
-app.get('/chats', async (req, res) => {
-  if (connectionStatus !== 'connected' || !sock) {
-    return res.status(503).json({ 
-      error: 'Not connected',
-      status: connectionStatus 
-    });
-  }
+// The API description and a browsable version of it
+app.get('/openapi.json', (req, res) => res.json(spec));
+app.get('/docs', (req, res) => res.type('html').send(DOCS_HTML));
 
-  try {
-    const groups = await sock.groupFetchAllParticipating();
-    const chatList = Object.values(groups).map(group => ({
-      id: group.id,
-      name: group.subject || 'Unknown Group',
-      participants: group.participants?.length || 0,
-      creation: group.creation,
-      desc: group.desc || ''
-    }));
+app.use('/webhooks', createWebhookRouter(webhooks, { requireScope, validate }));
+app.use('/keys', createKeyRouter(apiKeys, { requireScope, validate }));
+app.use('/rules', createRuleRouter(rules, { requireScope, validate }));
 
-    res.json({ 
-      count: chatList.length,
-      chats: chatList 
-    });
-  } catch (err) {
-    console.error('Error fetching chats:', err.message);
-    res.status(500).json({ error: err.message });
-  }
+// Session CRUD, then session-scoped routes
+const sessionRouter = createSessionRouter({
+  requireScope,
+  validate,
+  uploadMaxBytes: MEDIA_UPLOAD_MAX_MB * 1024 * 1024
 });
+if (simulator) {
+  sessionRouter.use('/simulator', createSimulatorRouter(simulator, { requireScope, validate }));
+}
 
-// Disconnect / Logout
-app.post('/disconnect', async (req, res) => {
-  if (!sock) {
-    return res.json({ success: true, message: 'Already disconnected' });
+app.use('/sessions', createSessionsRouter(sessions, { requireScope, validate }));
+
+app.use('/sessions/:sessionId', (req, res, next) => {
+  req.waSession = sessions.get(req.params.sessionId);
+  if (!req.waSession) {
+    return sendError(req, res, 'SESSION_NOT_FOUND', 'Session not found');
   }
+  next();
+}, sessionRouter);
+
+// Unscoped routes act on the default session
+app.use((req, res, next) => {
+  req.waSession = sessions.getDefault();
+  next();
+}, sessionRouter);
 
-  try {
-    await sock.logout();
-    connectionStatus = 'disconnected';
-    qrCode = null;
-    userInfo = null;
-    res.json({ success: true, message: 'Logged out successfully' });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Everything else, and every error, in the same envelope
+app.use(routeNotFound());
+app.use(errorHandler());
+
+// ============ START SERVER ============
+const server = app.listen(PORT, '0.0.0.0', () => {
+  logger.info({
+    port: Number(PORT),
+    sessions: sessions.list().map(s => s.id),
+    waMode: WA_MODE,
+    authStore: AUTH_STORE,
+    authEncrypted: authStore.encrypted,
+    logLevel: LOG_LEVEL,
+    logRedact: LOG_REDACT
+  }, '🌐 FocusWave WhatsApp Server running');
+  if (!apiKeys.enabled) {
+    logger.warn('⚠️  No API keys configured - the API is open to anyone. Set ADMIN_API_KEY.');
+  }
+  if (simulator) {
+    logger.warn({ fixture: SIMULATOR_FIXTURE }, '🧪 Simulator mode - no connection to WhatsApp');
+  }
+  if (!authStore.encrypted) {
+    logger.warn('⚠️  Auth state is stored unencrypted. Set AUTH_ENCRYPTION_KEY.');
   }
+
+  // Start WhatsApp connections
+  sessions.startAll();
 });
 
-// Force restart connection
-app.post('/restart', (req, res) => {
-  console.log('🔄 Manual restart requested');
-  if (sock) {
-    try { sock.end(); } catch (e) {}
+attachWebSocket(server, eventStream, {
+  path: '/events',
+  snapshot: streamSnapshot,
+  authorize: (req, query) => {
+    const { ok, key } = authorizeUpgrade(req, query, 'read:status');
+    return ok ? streamAccess(key) : null;
   }
-  connectionStatus = 'disconnected';
-  qrCode = null;
-  userInfo = null;
-  setTimeout(connectWhatsApp, 500);
-  res.json({ success: true, message: 'Restarting connection...' });
 });
 
-// ============ START SERVER ============
-app.listen(PORT, '0.0.0.0', () => {
-  console.log('');
-  console.log('╔═══════════════════════════════════════╗');
-  console.log('║     FocusWave WhatsApp Server         ║');
-  console.log('╚═══════════════════════════════════════╝');
-  console.log(`🌐 Server running on port ${PORT}`);
-  console.log('');
-  
-  // Start WhatsApp connection
-  connectWhatsApp();
-});
+// ============ SHUTDOWN ============
+// Sessions go first, while clients are still connected to hear about
+// it: they publish `shutting_down`, finish the sends under way and close
+// their sockets without logging out. Then HTTP is drained, every store
+// written out, and the auth store closed once its last write is done.
+let serverClosed;
+lifecycle
+  .onShutdown('stop accepting', () => {
+    serverClosed = new Promise(resolve => server.close(() => resolve()));
+    server.closeIdleConnections?.();
+  })
+  .onShutdown('sessions', () => sessions.shutdown())
+  .onShutdown('http', async () => {
+    eventStream.close();
+    // The ended streams leave idle keep-alive connections behind
+    setImmediate(() => server.closeIdleConnections?.());
+    // Requests still running this close to the deadline are cut off
+    const cutoff = setTimeout(() => server.closeAllConnections?.(), SHUTDOWN_TIMEOUT_MS / 2);
+    await serverClosed;
+    clearTimeout(cutoff);
+  })
+  .onShutdown('persist', async () => {
+    sessions.flush();
+    rules.flush();
+    apiKeys.flush();
+    await webhooks.stop();
+  })
+  .onShutdown('auth', async () => {
+    await authStore.flush();
+    authStore.close();
+  });
+lifecycle.listen();
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { JsonFile } = require('./jsonFile');
+
+// ============ API KEYS ============
+// Keys are random 32-byte tokens shown once on creation. Only their
+// SHA-256 hash is written to disk. An optional master key from the
+// environment always has the `admin` scope.
+
+const SCOPES = ['read:status', 'read:chats', 'send', 'admin'];
+const KEY_PREFIX = 'fw_';
+
+class ApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.statusCode = 400;
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function hasScope(key, scope) {
+  return key.scopes.includes('admin') || key.scopes.includes(scope);
+}
+
+// Key as returned by the API - never includes the hash
+function publicKey({ hash, ...key }) {
+  return key;
+}
+
+class ApiKeys {
+  constructor(file, { masterKey = null } = {}) {
+    this.store = new JsonFile(file, { keys: [] });
+    this.masterHash = masterKey ? hashKey(masterKey) : null;
+  }
+
+  // Auth is only enforced once there is at least one way to authenticate
+  get enabled() {
+    return this.masterHash !== null || this.store.data.keys.length > 0;
+  }
+
+  list() {
+    return this.store.data.keys.map(publicKey);
+  }
+
+  /**
+   * Create a key. The plaintext is only available in the return value.
+   */
+  create({ name, scopes }) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ApiKeyError('name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ApiKeyError(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+    }
+    const unknown = scopes.filter(s => !SCOPES.includes(s));
+    if (unknown.length) {
+      throw new ApiKeyError(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+
+    const plaintext = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const key = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      // Enough to recognise a key in logs and lists without revealing it
+      hint: plaintext.slice(0, KEY_PREFIX.length + 4),
+      hash: hashKey(plaintext),
+      createdAt: Date.now(),
+      lastUsedAt: null,
+      requestCount: 0
+    };
+    this.store.data.keys.push(key);
+    this.store.flush();
+    return { ...publicKey(key), key: plaintext };
+  }
+
+  revoke(id) {
+    const before = this.store.data.keys.length;
+    this.store.data.keys = this.store.data.keys.filter(k => k.id !== id);
+    if (this.store.data.keys.length === before) return false;
+    this.store.flush();
+    return true;
+  }
+
+  /**
+   * Look up a presented token. Returns `{ id, name, scopes }` or null.
+   */
+  verify(token) {
+    if (!token) return null;
+    const hash = Buffer.from(hashKey(token), 'hex');
+
+    if (this.masterHash && crypto.timingSafeEqual(hash, Buffer.from(this.masterHash, 'hex'))) {
+      return { id: 'master', name: 'master', scopes: ['admin'] };
+    }
+
+    const key = this.store.data.keys.find(k =>
+      crypto.timingSafeEqual(hash, Buffer.from(k.hash, 'hex'))
+    );
+    if (!key) return null;
+
+    key.lastUsedAt = Date.now();
+    key.requestCount++;
+    this.store.save();
+    return { id: key.id, name: key.name, scopes: key.scopes };
+  }
+
+  flush() {
+    this.store.flush();
+  }
+}
+
+module.exports = { ApiKeys, ApiKeyError, SCOPES, hasScope };
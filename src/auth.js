@@ -0,0 +1,57 @@
+const { hasScope } = require('./apiKeys');
+const { logger, loggableUrl } = require('./logger');
+const { sendError } = require('./errors');
+
+// ============ AUTH ============
+// Keys are accepted as `Authorization: Bearer <key>`, `X-API-Key: <key>`,
+// or `?api_key=<key>` (for EventSource/WebSocket, which can't set headers).
+
+function tokenFrom(headers, query = {}) {
+  const auth = headers.authorization;
+  if (auth?.startsWith('Bearer ')) return auth.slice(7).trim();
+  return headers['x-api-key'] || query.api_key || null;
+}
+
+const log = logger.child({ module: 'auth' });
+
+function createAuth(apiKeys) {
+  /**
+   * Express middleware: 401 without a valid key, 403 without `scope`.
+   * Does nothing while no keys are configured.
+   */
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (!apiKeys.enabled) return next();
+
+      const key = apiKeys.verify(tokenFrom(req.headers, req.query));
+      if (!key) {
+        req.log.warn({ scope }, '🚫 Missing or invalid API key');
+        return sendError(req, res, 'UNAUTHORIZED', 'Missing or invalid API key');
+      }
+      if (!hasScope(key, scope)) {
+        req.log.warn({ key: key.name, scope }, '🚫 API key lacks scope');
+        return sendError(req, res, 'INSUFFICIENT_SCOPE', `API key lacks the "${scope}" scope`);
+      }
+
+      // The request log line names the key
+      req.apiKey = key;
+      next();
+    };
+  }
+
+  // Same check for a raw upgrade request. `key` is null while auth is off.
+  function authorizeUpgrade(req, query, scope) {
+    if (!apiKeys.enabled) return { ok: true, key: null };
+    const key = apiKeys.verify(tokenFrom(req.headers, query));
+    if (!key || !hasScope(key, scope)) {
+      log.warn({ url: loggableUrl(req.url), scope }, '🚫 WebSocket rejected');
+      return { ok: false, key: null };
+    }
+    log.info({ url: loggableUrl(req.url), key: key.name }, '🔑 WebSocket connected');
+    return { ok: true, key };
+  }
+
+  return { requireScope, authorizeUpgrade };
+}
+
+module.exports = { createAuth };
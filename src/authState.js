@@ -0,0 +1,405 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+
+// ============ AUTH STATE STORAGE ============
+// Baileys credentials and signal keys, stored per session as key/value
+// pairs in a pluggable backend (one file per key, or a SQLite table).
+// With an encryption key every value is sealed with AES-256-GCM before
+// it reaches the backend; plaintext values from before encryption was
+// turned on are still readable and get encrypted on startup.
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const BACKUP_FORMAT = 'focuswave-auth-backup';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class AuthStateError extends Error {
+  constructor(message, statusCode = 400, code) {
+    super(message);
+    this.name = 'AuthStateError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// ===== ENCRYPTION =====
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), data };
+}
+
+function open(key, { iv, tag, data }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+// ===== BACKENDS =====
+// Both backends store strings and share one interface:
+// read(sessionId, key), write(sessionId, entries: { key: string|null }),
+// keys(sessionId), clear(sessionId). A null value deletes the key.
+
+// Same file names as Baileys' useMultiFileAuthState, so existing
+// auth_state folders keep working
+function fileName(key) {
+  return `${key.replace(/\//g, '__').replace(/:/g, '-')}.json`;
+}
+
+// fileName() turns ':' into '-', so that can't simply be undone. The only
+// Baileys keys with colons are sender keys, `<group>::<sender>::<device>`,
+// and JIDs never contain '--', so those come back exactly. Any other
+// '--' is a name we can't recover, and guessing would lose the key.
+const SENDER_KEY_FILE = /^sender-key-(.+?)--(.+?)--(\d+)$/;
+
+function keyName(file) {
+  const key = file.slice(0, -'.json'.length).replace(/__/g, '/');
+  const senderKey = SENDER_KEY_FILE.exec(key);
+  if (senderKey) return `sender-key-${senderKey[1]}::${senderKey[2]}::${senderKey[3]}`;
+  if (key.includes('--')) {
+    throw new AuthStateError(`Can't tell the key name of auth file ${file}: ':' and '-' are both stored as '-'`, 500);
+  }
+  return key;
+}
+
+class FileAuthBackend {
+  constructor(root) {
+    this.type = 'file';
+    this.root = root;
+    this.locks = new Map();   // path -> promise of the last write
+  }
+
+  dir(sessionId) {
+    return path.join(this.root, sessionId);
+  }
+
+  async read(sessionId, key) {
+    try {
+      return await fs.promises.readFile(path.join(this.dir(sessionId), fileName(key)), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async write(sessionId, entries) {
+    await fs.promises.mkdir(this.dir(sessionId), { recursive: true });
+    await Promise.all(Object.entries(entries).map(([key, value]) =>
+      this.serialize(path.join(this.dir(sessionId), fileName(key)), () => value === null
+        ? fs.promises.rm(path.join(this.dir(sessionId), fileName(key)), { force: true })
+        : writeFileAtomic(path.join(this.dir(sessionId), fileName(key)), value))
+    ));
+  }
+
+  // Writes to the same file run one after another, in call order
+  serialize(file, task) {
+    const next = (this.locks.get(file) || Promise.resolve()).then(task, task);
+    this.locks.set(file, next);
+    return next.finally(() => {
+      if (this.locks.get(file) === next) this.locks.delete(file);
+    });
+  }
+
+  async keys(sessionId) {
+    try {
+      const files = await fs.promises.readdir(this.dir(sessionId));
+      return files.filter(f => f.endsWith('.json')).map(keyName);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async clear(sessionId) {
+    await fs.promises.rm(this.dir(sessionId), { recursive: true, force: true });
+  }
+
+  close() {}
+}
+
+async function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+  await fs.promises.writeFile(tmp, contents);
+  await fs.promises.rename(tmp, file);
+}
+
+class SqliteAuthBackend {
+  constructor(file) {
+    // Only needed for this backend, so only loaded for it
+    const Database = require('better-sqlite3');
+    this.type = 'sqlite';
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`CREATE TABLE IF NOT EXISTS auth_state (
+      session_id TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (session_id, key)
+    )`);
+    this.statements = {
+      read: this.db.prepare('SELECT value FROM auth_state WHERE session_id = ? AND key = ?'),
+      upsert: this.db.prepare(`INSERT INTO auth_state (session_id, key, value) VALUES (?, ?, ?)
+        ON CONFLICT (session_id, key) DO UPDATE SET value = excluded.value`),
+      remove: this.db.prepare('DELETE FROM auth_state WHERE session_id = ? AND key = ?'),
+      keys: this.db.prepare('SELECT key FROM auth_state WHERE session_id = ?'),
+      clear: this.db.prepare('DELETE FROM auth_state WHERE session_id = ?')
+    };
+    this.writeMany = this.db.transaction((sessionId, entries) => {
+      for (const [key, value] of entries) {
+        if (value === null) this.statements.remove.run(sessionId, key);
+        else this.statements.upsert.run(sessionId, key, value);
+      }
+    });
+  }
+
+  async read(sessionId, key) {
+    return this.statements.read.get(sessionId, key)?.value ?? null;
+  }
+
+  async write(sessionId, entries) {
+    this.writeMany(sessionId, Object.entries(entries));
+  }
+
+  async keys(sessionId) {
+    return this.statements.keys.all(sessionId).map(row => row.key);
+  }
+
+  async clear(sessionId) {
+    this.statements.clear.run(sessionId);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// ===== STORE =====
+
+class AuthStore {
+  /**
+   * @param {object} backend - FileAuthBackend or SqliteAuthBackend
+   * @param {object} [opts]
+   * @param {string} [opts.encryptionKey] - any string; stretched into an AES key
+   */
+  constructor(backend, { encryptionKey = null } = {}) {
+    this.backend = backend;
+    this.pendingWrites = new Set();
+    this.key = encryptionKey
+      ? crypto.scryptSync(encryptionKey, 'focuswave-auth-state', 32, SCRYPT_PARAMS)
+      : null;
+  }
+
+  get encrypted() {
+    return this.key !== null;
+  }
+
+  encode(value) {
+    if (!this.key) return value;
+    const { iv, tag, data } = seal(this.key, Buffer.from(value, 'utf8'));
+    return ENCRYPTED_PREFIX + [iv, tag, data].map(b => b.toString('base64')).join(':');
+  }
+
+  decode(stored) {
+    if (stored === null || !stored.startsWith(ENCRYPTED_PREFIX)) return stored;
+    if (!this.key) {
+      throw new AuthStateError('Auth state is encrypted but AUTH_ENCRYPTION_KEY is not set', 500, 'AUTH_STATE_UNREADABLE');
+    }
+    const [iv, tag, data] = stored.slice(ENCRYPTED_PREFIX.length).split(':').map(s => Buffer.from(s, 'base64'));
+    try {
+      return open(this.key, { iv, tag, data }).toString('utf8');
+    } catch (e) {
+      throw new AuthStateError('Cannot decrypt auth state - wrong AUTH_ENCRYPTION_KEY?', 500, 'AUTH_STATE_UNREADABLE');
+    }
+  }
+
+  async read(sessionId, key) {
+    const value = this.decode(await this.backend.read(sessionId, key));
+    return value === null ? null : JSON.parse(value, BufferJSON.reviver);
+  }
+
+  // `entries` maps keys to values (null deletes)
+  async write(sessionId, entries) {
+    const encoded = {};
+    for (const [key, value] of Object.entries(entries)) {
+      encoded[key] = value === null || value === undefined
+        ? null
+        : this.encode(JSON.stringify(value, BufferJSON.replacer));
+    }
+    const write = this.backend.write(sessionId, encoded);
+    this.pendingWrites.add(write);
+    try {
+      await write;
+    } finally {
+      this.pendingWrites.delete(write);
+    }
+  }
+
+  // Wait for the writes under way, e.g. saveCreds() after the last creds.update
+  async flush() {
+    await Promise.allSettled([...this.pendingWrites]);
+  }
+
+  async hasCreds(sessionId) {
+    return (await this.backend.read(sessionId, 'creds')) !== null;
+  }
+
+  clear(sessionId) {
+    return this.backend.clear(sessionId);
+  }
+
+  // Encrypt anything written before encryption was turned on
+  async encryptPlaintext(sessionId) {
+    if (!this.key) return 0;
+    const rewrite = {};
+    for (const key of await this.backend.keys(sessionId)) {
+      const stored = await this.backend.read(sessionId, key);
+      if (stored !== null && !stored.startsWith(ENCRYPTED_PREFIX)) rewrite[key] = this.encode(stored);
+    }
+    await this.backend.write(sessionId, rewrite);
+    return Object.keys(rewrite).length;
+  }
+
+  // Copy a useMultiFileAuthState folder in (e.g. when moving to SQLite)
+  async importDirectory(sessionId, dir) {
+    const entries = {};
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+      entries[keyName(file)] = this.encode(fs.readFileSync(path.join(dir, file), 'utf8'));
+    }
+    await this.backend.write(sessionId, entries);
+    return Object.keys(entries).length;
+  }
+
+  /**
+   * Baileys `{ state, saveCreds }` backed by this store - the drop-in
+   * replacement for useMultiFileAuthState().
+   */
+  async useAuthState(sessionId) {
+    const creds = (await this.read(sessionId, 'creds')) || initAuthCreds();
+
+    return {
+      state: {
+        creds,
+        keys: {
+          get: async (type, ids) => {
+            const data = {};
+            await Promise.all(ids.map(async (id) => {
+              let value = await this.read(sessionId, `${type}-${id}`);
+              if (type === 'app-state-sync-key' && value) {
+                value = proto.Message.AppStateSyncKeyData.fromObject(value);
+              }
+              data[id] = value;
+            }));
+            return data;
+          },
+          set: async (data) => {
+            const entries = {};
+            for (const [category, values] of Object.entries(data)) {
+              for (const [id, value] of Object.entries(values)) {
+                entries[`${category}-${id}`] = value || null;
+              }
+            }
+            await this.write(sessionId, entries);
+          }
+        }
+      },
+      saveCreds: () => this.write(sessionId, { creds })
+    };
+  }
+
+  // ===== BACKUP =====
+
+  /**
+   * Every stored value for the session, encrypted with a key derived from
+   * `passphrase` so the backup can be restored on any server.
+   */
+  async exportSession(sessionId, passphrase) {
+    checkPassphrase(passphrase);
+    const entries = {};
+    for (const key of await this.backend.keys(sessionId)) {
+      entries[key] = this.decode(await this.backend.read(sessionId, key));
+    }
+    if (!entries.creds) throw new AuthStateError('Session has no credentials to export', 404, 'SESSION_NOT_LINKED');
+
+    const salt = crypto.randomBytes(16);
+    const key = crypto.scryptSync(passphrase, salt, 32, SCRYPT_PARAMS);
+    const { iv, tag, data } = seal(key, zlib.gzipSync(JSON.stringify(entries)));
+    return {
+      format: BACKUP_FORMAT,
+      version: 1,
+      sessionId,
+      createdAt: Date.now(),
+      keyCount: Object.keys(entries).length,
+      kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      tag: tag.toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  // Decrypt a backup from exportSession(); throws if it can't be read
+  openBackup(backup, passphrase) {
+    checkPassphrase(passphrase);
+    if (backup?.format !== BACKUP_FORMAT || backup.version !== 1) {
+      throw new AuthStateError('Not a FocusWave auth backup');
+    }
+
+    let entries;
+    try {
+      const { salt, N, r, p } = backup.kdf;
+      const key = crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32, { N, r, p });
+      const plain = open(key, {
+        iv: Buffer.from(backup.iv, 'base64'),
+        tag: Buffer.from(backup.tag, 'base64'),
+        data: Buffer.from(backup.data, 'base64')
+      });
+      entries = JSON.parse(zlib.gunzipSync(plain).toString('utf8'));
+    } catch (e) {
+      throw new AuthStateError('Cannot decrypt backup - wrong passphrase or damaged file', 400, 'BACKUP_DECRYPT_FAILED');
+    }
+    if (typeof entries?.creds !== 'string') throw new AuthStateError('Backup has no credentials');
+    return entries;
+  }
+
+  // Replace the session's auth state with entries from openBackup()
+  async restoreSession(sessionId, entries) {
+    await this.clear(sessionId);
+    const encoded = {};
+    for (const [key, value] of Object.entries(entries)) encoded[key] = this.encode(value);
+    await this.backend.write(sessionId, encoded);
+    return Object.keys(entries).length;
+  }
+
+  close() {
+    this.backend.close();
+  }
+}
+
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new AuthStateError(`passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+/**
+ * @param {object} opts
+ * @param {'file'|'sqlite'} opts.type
+ * @param {string} opts.dir - root folder for the file backend
+ * @param {string} opts.sqliteFile
+ * @param {string} [opts.encryptionKey]
+ */
+function createAuthStore({ type, dir, sqliteFile, encryptionKey }) {
+  let backend;
+  if (type === 'file') backend = new FileAuthBackend(dir);
+  else if (type === 'sqlite') backend = new SqliteAuthBackend(sqliteFile);
+  else throw new Error(`Unknown AUTH_STORE "${type}" (use file or sqlite)`);
+  return new AuthStore(backend, { encryptionKey });
+}
+
+module.exports = { createAuthStore, AuthStore, AuthStateError, FileAuthBackend, SqliteAuthBackend };
@@ -0,0 +1,238 @@
+const { isJidGroup, jidNormalizedUser } = require('@whiskeysockets/baileys');
+const { chatType } = require('./chatStore');
+
+// ============ CHAT ACTIONS ============
+// Inbox housekeeping on the linked account (read, archive, pin, mute) and
+// presence: typing/recording indicators going out, online and last seen
+// coming in. Changes are mirrored into the ChatStore right away, since
+// WhatsApp doesn't always echo our own app state changes back as
+// chats.update.
+
+const PRESENCE_STATES = {
+  typing: 'composing',
+  recording: 'recording',
+  paused: 'paused'
+};
+const MAX_MUTE_SECONDS = 366 * 24 * 60 * 60;
+const MAX_READ_IDS = 100;
+
+class ChatActionError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} statusCode
+   * @param {string} code - stable, machine-readable reason
+   */
+  constructor(message, statusCode, code) {
+    super(message);
+    this.name = 'ChatActionError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+class ChatActions {
+  /**
+   * @param {object} opts
+   * @param {() => object|null} opts.socket - the connected socket, or null
+   * @param {import('./chatStore').ChatStore} opts.chats
+   * @param {import('./messageStore').MessageStore} opts.messageStore
+   */
+  constructor({ socket, chats, messageStore }) {
+    this.socket = socket;
+    this.chats = chats;
+    this.messageStore = messageStore;
+    // chatId -> { subscribedAt, participants: { jid: { presence, lastSeen, updatedAt } } }
+    this.presences = new Map();
+  }
+
+  sock() {
+    const sock = this.socket();
+    if (!sock) throw new ChatActionError('Not connected to WhatsApp', 503, 'NOT_CONNECTED');
+    return sock;
+  }
+
+  static validateId(chatId) {
+    if (!chatType(chatId)) {
+      throw new ChatActionError('Not a group or direct chat ID', 400, 'INVALID_CHAT_ID');
+    }
+  }
+
+  // Baileys needs the newest message of a chat to archive it or mark it
+  // read; an empty list is accepted when we have never seen one
+  lastMessages(chatId) {
+    const last = this.chats.chats[chatId]?.lastMessage;
+    if (!last) return [];
+    return [{
+      key: toMessageKey(chatId, last),
+      messageTimestamp: Math.floor(last.timestamp / 1000)
+    }];
+  }
+
+  // ===== INBOX STATE =====
+
+  /**
+   * Mark a whole chat read, or send read receipts for specific messages.
+   * @param {string} chatId
+   * @param {string[]} [messageIds]
+   */
+  async markRead(chatId, messageIds) {
+    ChatActions.validateId(chatId);
+    const sock = this.sock();
+
+    if (messageIds !== undefined) {
+      if (!Array.isArray(messageIds) || !messageIds.length || messageIds.length > MAX_READ_IDS
+        || messageIds.some(id => typeof id !== 'string' || !id)) {
+        throw new ChatActionError(`messageIds must be 1-${MAX_READ_IDS} message IDs`, 400, 'INVALID_REQUEST');
+      }
+      const keys = messageIds.map(id => this.messageKey(chatId, id));
+      await sock.readMessages(keys);
+      return { chatId, read: messageIds.length };
+    }
+
+    const lastMessages = this.lastMessages(chatId);
+    await sock.chatModify({ markRead: true, lastMessages }, chatId);
+    // Receipts go out for the newest message; the app state change
+    // clears the unread badge on our other devices
+    const incoming = lastMessages.filter(m => !m.key.fromMe).map(m => m.key);
+    if (incoming.length) await sock.readMessages(incoming);
+    this.chats.updateChats([{ id: chatId, unreadCount: 0 }]);
+    return { chatId, unreadCount: 0 };
+  }
+
+  // Shows the unread dot again; WhatsApp stores that as unreadCount -1
+  async markUnread(chatId) {
+    ChatActions.validateId(chatId);
+    await this.sock().chatModify({ markRead: false, lastMessages: this.lastMessages(chatId) }, chatId);
+    this.chats.updateChats([{ id: chatId, unreadCount: -1 }]);
+    return { chatId, unreadCount: -1 };
+  }
+
+  async setArchived(chatId, archived) {
+    ChatActions.validateId(chatId);
+    await this.sock().chatModify({ archive: archived, lastMessages: this.lastMessages(chatId) }, chatId);
+    this.chats.updateChats([{ id: chatId, archived }]);
+    return { chatId, archived };
+  }
+
+  async setPinned(chatId, pinned) {
+    ChatActions.validateId(chatId);
+    await this.sock().chatModify({ pin: pinned }, chatId);
+    const pinnedAt = pinned ? Date.now() : null;
+    this.chats.updateChats([{ id: chatId, pinned: pinnedAt }]);
+    return { chatId, pinned, pinnedAt };
+  }
+
+  /**
+   * @param {string} chatId
+   * @param {number|'forever'|null} duration - seconds, 'forever', or null to unmute
+   */
+  async setMuted(chatId, duration) {
+    ChatActions.validateId(chatId);
+    let muteEndTime = null;
+    if (duration === 'forever') {
+      muteEndTime = -1;
+    } else if (duration !== null) {
+      if (!Number.isInteger(duration) || duration <= 0 || duration > MAX_MUTE_SECONDS) {
+        throw new ChatActionError(
+          `duration must be a number of seconds up to ${MAX_MUTE_SECONDS}, or "forever"`, 400, 'INVALID_REQUEST'
+        );
+      }
+      muteEndTime = Date.now() + duration * 1000;
+    }
+
+    // Baileys takes the end time in ms, and null to unmute
+    await this.sock().chatModify({ mute: muteEndTime }, chatId);
+    this.chats.updateChats([{ id: chatId, muteEndTime }]);
+    return { chatId, muted: muteEndTime !== null, muteEndTime };
+  }
+
+  // Receipt key for a message: groups need the sender, so it must be stored
+  messageKey(chatId, id) {
+    const stored = this.messageStore.get(chatId, id);
+    if (stored) return toMessageKey(chatId, stored);
+    if (isJidGroup(chatId)) {
+      throw new ChatActionError(`Message ${id} not found`, 404, 'MESSAGE_NOT_FOUND');
+    }
+    return { remoteJid: chatId, id, fromMe: false };
+  }
+
+  // ===== PRESENCE =====
+
+  // Show "typing…" or "recording audio…" in a chat, or stop showing it
+  async sendPresence(chatId, state) {
+    ChatActions.validateId(chatId);
+    const presence = PRESENCE_STATES[state];
+    if (!presence) {
+      throw new ChatActionError(
+        `state must be one of: ${Object.keys(PRESENCE_STATES).join(', ')}`, 400, 'INVALID_REQUEST'
+      );
+    }
+    await this.sock().sendPresenceUpdate(presence, chatId);
+    return { chatId, state };
+  }
+
+  // Ask WhatsApp to send us presence.update events for a contact or group.
+  // Subscriptions end with the connection; resubscribe() renews them.
+  async subscribePresence(chatId) {
+    ChatActions.validateId(chatId);
+    await this.sock().presenceSubscribe(chatId);
+    const entry = this.presenceEntry(chatId);
+    entry.subscribedAt = Date.now();
+    return this.presence(chatId);
+  }
+
+  async resubscribe() {
+    const sock = this.sock();
+    for (const [chatId, entry] of this.presences) {
+      if (entry.subscribedAt) await sock.presenceSubscribe(chatId);
+    }
+  }
+
+  presenceEntry(chatId) {
+    let entry = this.presences.get(chatId);
+    if (!entry) {
+      entry = { subscribedAt: null, participants: {} };
+      this.presences.set(chatId, entry);
+    }
+    return entry;
+  }
+
+  // presence.update: { id, presences: { [jid]: { lastKnownPresence, lastSeen? } } }
+  recordPresence({ id, presences }) {
+    const entry = this.presenceEntry(id);
+    const now = Date.now();
+    for (const [jid, { lastKnownPresence, lastSeen }] of Object.entries(presences || {})) {
+      const participant = jidNormalizedUser(jid);
+      const previous = entry.participants[participant];
+      entry.participants[participant] = {
+        presence: lastKnownPresence || null,
+        // Only sent by contacts who share it; seconds
+        lastSeen: lastSeen ? lastSeen * 1000 : previous?.lastSeen || null,
+        updatedAt: now
+      };
+    }
+  }
+
+  presence(chatId) {
+    ChatActions.validateId(chatId);
+    const entry = this.presences.get(chatId);
+    return {
+      chatId,
+      subscribed: !!entry?.subscribedAt,
+      subscribedAt: entry?.subscribedAt || null,
+      presences: Object.entries(entry?.participants || {}).map(([jid, p]) => ({ jid, ...p }))
+    };
+  }
+}
+
+// A Baileys message key from a stored message or chat preview
+function toMessageKey(chatId, message) {
+  return {
+    remoteJid: chatId,
+    id: message.id,
+    fromMe: message.fromMe,
+    participant: isJidGroup(chatId) && !message.fromMe ? message.sender : undefined
+  };
+}
+
+module.exports = { ChatActions, ChatActionError, PRESENCE_STATES };
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { zonedTime, fromZonedTime } = require('./clock');
+
+// ============ CHAT ARCHIVE ============
+// Chat exports in JSON, CSV and the text layout of WhatsApp's own "Export
+// chat", and the reverse: reading a WhatsApp export (a .txt, or the zip
+// with its media) into messages we can store. WhatsApp's text format only
+// has wall-clock times to the minute and sender names, so both directions
+// need the timezone the chat was exported in.
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'sender', 'senderName', 'fromMe', 'type', 'text',
+  'quotedId', 'mediaType', 'mediaFileName', 'edited', 'deleted'
+];
+const MEDIA_OMITTED = '<Media omitted>';
+const DELETED_TEXT = 'This message was deleted';
+const EDITED_SUFFIX = '<This message was edited>';
+// Zip entries we are willing to inflate
+const MAX_ENTRY_BYTES = 100 * 1024 * 1024;
+const MAX_UNZIPPED_BYTES = 1024 * 1024 * 1024;
+
+class ChatArchiveError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ChatArchiveError';
+    this.statusCode = statusCode;
+  }
+}
+
+// ===== EXPORT =====
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// "31/12/2023, 21:15" - WhatsApp on Android with a 24-hour clock
+function formatTimestamp(timestamp, timezone) {
+  const t = zonedTime(timestamp, timezone);
+  return `${pad(t.day)}/${pad(t.month)}/${t.year}, ${pad(t.hour)}:${pad(t.minute)}`;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// The body of one message as WhatsApp writes it
+function txtBody(message) {
+  if (message.deleted) return DELETED_TEXT;
+  let body = message.text || '';
+  if (message.media) {
+    const attachment = message.imported && message.media.fileName
+      ? `${message.media.fileName} (file attached)`
+      : MEDIA_OMITTED;
+    body = body ? `${attachment}\n${body}` : attachment;
+  }
+  if (message.edited) body += ` ${EDITED_SUFFIX}`;
+  return body || MEDIA_OMITTED;
+}
+
+/**
+ * Export a chat's messages (oldest first) piece by piece, for streaming.
+ * @param {object[]} messages
+ * @param {'json'|'csv'|'txt'} format
+ * @param {object} opts
+ * @param {string} opts.chatId
+ * @param {string} opts.name - chat name
+ * @param {(message: object) => string} opts.senderName - name to show for a message's sender
+ * @param {string} [opts.timezone] - for txt; the server's zone if unset
+ */
+function* exportChat(messages, format, { chatId, name, senderName, timezone }) {
+  if (format === 'json') {
+    yield `{"chatId":${JSON.stringify(chatId)},"name":${JSON.stringify(name)},"exportedAt":${Date.now()},"messages":[`;
+    let first = true;
+    for (const message of messages) {
+      yield (first ? '\n' : ',\n') + JSON.stringify(message);
+      first = false;
+    }
+    yield '\n]}\n';
+    return;
+  }
+
+  if (format === 'csv') {
+    // The BOM makes Excel read it as UTF-8 instead of mangling non-Latin names
+    yield '\ufeff' + CSV_COLUMNS.join(',') + '\r\n';
+    for (const m of messages) {
+      yield [
+        m.id,
+        new Date(m.timestamp).toISOString(),
+        m.sender,
+        senderName(m),
+        m.fromMe,
+        m.type,
+        m.text,
+        m.quoted?.id,
+        m.media?.type,
+        m.media?.fileName,
+        !!m.edited,
+        !!m.deleted
+      ].map(csvCell).join(',') + '\r\n';
+    }
+    return;
+  }
+
+  for (const m of messages) {
+    yield `${formatTimestamp(m.timestamp, timezone)} - ${senderName(m)}: ${txtBody(m)}\n`;
+  }
+}
+
+// ===== IMPORT =====
+
+// "31/12/2023, 21:15 - " (Android) or "[31/12/23, 9:15:03 PM] " (iOS)
+const LINE_PATTERN = /^\[?(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4}),? (\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?(?: ?([AaPp])\.? ?[Mm]\.?)?(?:\] | - )(.*)$/;
+const ANDROID_ATTACHMENT = /^(.+\.\w{2,5}) \(file attached\)$/;
+const IOS_ATTACHMENT = /^<attached: (.+)>$/;
+const OMITTED_MEDIA = {
+  '<Media omitted>': null,
+  'image omitted': 'image',
+  'video omitted': 'video',
+  'audio omitted': 'audio',
+  'sticker omitted': 'sticker',
+  'GIF omitted': 'video',
+  'document omitted': 'document'
+};
+const DELETED_TEXTS = new Set([DELETED_TEXT, 'This message was deleted.', 'You deleted this message', 'You deleted this message.']);
+
+const EXTENSION_TYPES = {
+  jpg: ['image', 'image/jpeg'],
+  jpeg: ['image', 'image/jpeg'],
+  png: ['image', 'image/png'],
+  gif: ['image', 'image/gif'],
+  webp: ['sticker', 'image/webp'],
+  mp4: ['video', 'video/mp4'],
+  '3gp': ['video', 'video/3gpp'],
+  mov: ['video', 'video/quicktime'],
+  opus: ['audio', 'audio/ogg; codecs=opus'],
+  ogg: ['audio', 'audio/ogg'],
+  m4a: ['audio', 'audio/mp4'],
+  mp3: ['audio', 'audio/mpeg'],
+  aac: ['audio', 'audio/aac'],
+  pdf: ['document', 'application/pdf'],
+  vcf: ['document', 'text/vcard']
+};
+
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// Inflate one entry ourselves: getData() would trust the sizes the zip
+// declares and inflate however much there really is
+function inflateEntry(entry) {
+  if (entry.header.encrypted) throw new ChatArchiveError('Encrypted zips are not supported');
+  let data;
+  try {
+    const raw = entry.getCompressedData();
+    if (entry.header.method === ZIP_STORED) {
+      data = raw;
+    } else if (entry.header.method === ZIP_DEFLATED) {
+      data = zlib.inflateRawSync(raw, { maxOutputLength: MAX_ENTRY_BYTES + 1 });
+    } else {
+      throw new ChatArchiveError(`Unsupported zip compression in ${entry.entryName}`);
+    }
+  } catch (err) {
+    if (err instanceof ChatArchiveError) throw err;
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new ChatArchiveError('Zip contents are too large', 413);
+    throw new ChatArchiveError(`Unreadable zip: ${err.message}`);
+  }
+  if (data.length > MAX_ENTRY_BYTES) throw new ChatArchiveError('Zip contents are too large', 413);
+  return data;
+}
+
+function mediaFor(fileName) {
+  const ext = path.extname(fileName).slice(1).toLowerCase();
+  const [type, mimetype] = EXTENSION_TYPES[ext] || ['document', 'application/octet-stream'];
+  return { type, mimetype, fileName };
+}
+
+/**
+ * The chat text and attached files of an upload: either the .txt itself,
+ * or a zip holding it (and its media when exported "with media").
+ * @param {Buffer} buffer
+ * @returns {{ text: string, files: Map<string, () => Buffer> }} files by name
+ */
+function readExport(buffer) {
+  if (buffer.subarray(0, 2).toString('latin1') !== 'PK') {
+    return { text: buffer.toString('utf8'), files: new Map() };
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries().filter(e => !e.isDirectory);
+  } catch (err) {
+    throw new ChatArchiveError(`Unreadable zip: ${err.message}`);
+  }
+  // Declared sizes turn away honest oversized exports early; what is
+  // actually inflated is counted as it's read
+  const declared = entries.reduce((sum, e) => sum + e.header.size, 0);
+  if (declared > MAX_UNZIPPED_BYTES || entries.some(e => e.header.size > MAX_ENTRY_BYTES)) {
+    throw new ChatArchiveError('Zip contents are too large', 413);
+  }
+  let unzipped = 0;
+  const read = (entry) => {
+    const data = inflateEntry(entry);
+    unzipped += data.length;
+    if (unzipped > MAX_UNZIPPED_BYTES) throw new ChatArchiveError('Zip contents are too large', 413);
+    return data;
+  };
+
+  const chat = entries.find(e => path.basename(e.entryName) === '_chat.txt')
+    || entries.find(e => e.entryName.toLowerCase().endsWith('.txt'));
+  if (!chat) throw new ChatArchiveError('No chat .txt found in the zip');
+
+  const files = new Map();
+  for (const entry of entries) {
+    if (entry !== chat) files.set(path.basename(entry.entryName), () => read(entry));
+  }
+  return { text: read(chat).toString('utf8'), files };
+}
+
+// Whether the day or the month comes first. Exports follow the phone's
+// locale; a number over 12 settles it, otherwise `fallback` does.
+function detectDateOrder(lines, fallback) {
+  for (const line of lines) {
+    const match = LINE_PATTERN.exec(line);
+    if (!match) continue;
+    if (Number(match[1]) > 12) return 'dmy';
+    if (Number(match[2]) > 12) return 'mdy';
+  }
+  return fallback;
+}
+
+/**
+ * Parse WhatsApp's "Export chat" text. Lines that don't start with a
+ * timestamp continue the previous message; entries without an author are
+ * system notices ("Dana added Eli") and are skipped.
+ * @param {string} text
+ * @param {object} opts
+ * @param {string} [opts.timezone] - the exporting phone's; the server's if unset
+ * @param {'dmy'|'mdy'} [opts.dateOrder] - when the dates don't give it away
+ * @returns {{ timestamp: number, author: string, body: string }[]}
+ */
+function parseExport(text, { timezone, dateOrder = 'dmy' } = {}) {
+  // Bidi marks and narrow no-break spaces (iOS puts them around times and names)
+  const lines = text.replace(/^\ufeff/, '').replace(/[\u200e\u200f]/g, '').replace(/[\u202f\u00a0]/g, ' ').split(/\r?\n/);
+  const order = detectDateOrder(lines, dateOrder);
+
+  const entries = [];
+  let current = null;
+  for (const line of lines) {
+    const match = LINE_PATTERN.exec(line);
+    if (!match) {
+      if (current) current.body += `\n${line}`;
+      continue;
+    }
+
+    const [, a, b, y, h, min, s, meridiem, rest] = match;
+    const [day, month] = order === 'dmy' ? [a, b] : [b, a];
+    let hour = Number(h) % (meridiem ? 12 : 24);
+    if (meridiem && meridiem.toLowerCase() === 'p') hour += 12;
+    const year = y.length === 2 ? 2000 + Number(y) : Number(y);
+    const timestamp = fromZonedTime({
+      year, month: Number(month), day: Number(day), hour, minute: Number(min), second: Number(s || 0)
+    }, timezone);
+
+    const colon = rest.indexOf(': ');
+    current = colon === -1 ? null : { timestamp, author: rest.slice(0, colon), body: rest.slice(colon + 2) };
+    if (current) entries.push(current);
+  }
+  // The file ends with a newline, which isn't part of the last message
+  for (const entry of entries) entry.body = entry.body.trimEnd();
+  return entries;
+}
+
+/**
+ * Turn parsed entries into stored-message objects. IDs are derived from
+ * the content, so importing the same export twice adds nothing.
+ * @param {object[]} entries - from parseExport()
+ * @param {object} opts
+ * @param {string} opts.chatId
+ * @param {string|null} opts.selfName - our own name in the export
+ * @param {string|null} opts.selfJid
+ * @param {(name: string) => string|null} opts.resolveSender - JID for a name, if known
+ * @param {Map<string, Function>} opts.files - attached files by name
+ */
+function toMessages(entries, { chatId, selfName, selfJid, resolveSender, files }) {
+  const seen = new Map();   // same minute, author and body -> occurrences so far
+  return entries.map(({ timestamp, author, body }) => {
+    const identity = `${chatId}\n${timestamp}\n${author}\n${body}`;
+    const occurrence = (seen.get(identity) || 0) + 1;
+    seen.set(identity, occurrence);
+    const id = 'IMPORT-' + crypto.createHash('sha256').update(`${identity}\n${occurrence}`)
+      .digest('hex').slice(0, 20).toUpperCase();
+
+    const fromMe = author === selfName;
+    let text = body;
+    let edited = false;
+    if (text.endsWith(EDITED_SUFFIX)) {
+      edited = true;
+      text = text.slice(0, -EDITED_SUFFIX.length).trimEnd();
+    }
+    const deleted = DELETED_TEXTS.has(text);
+
+    // The attachment marker is the first line; a caption may follow
+    const [firstLine, ...captionLines] = text.split('\n');
+    const attached = (ANDROID_ATTACHMENT.exec(firstLine) || IOS_ATTACHMENT.exec(firstLine))?.[1];
+    let media = null;
+    let file = null;
+    if (attached) {
+      media = { ...mediaFor(attached), size: null, seconds: null };
+      file = files.get(attached) || null;
+      text = captionLines.join('\n');
+    } else if (firstLine in OMITTED_MEDIA) {
+      media = { type: OMITTED_MEDIA[firstLine] || 'document', mimetype: null, fileName: null, size: null, seconds: null };
+      text = captionLines.join('\n');
+    }
+
+    return {
+      message: {
+        id,
+        chatId,
+        fromMe,
+        sender: fromMe ? selfJid : resolveSender(author),
+        senderName: author,
+        timestamp,
+        type: media ? media.type : 'text',
+        text: deleted ? null : (text || null),
+        quoted: null,
+        mentions: [],
+        media,
+        edited,
+        deleted,
+        imported: true
+      },
+      file
+    };
+  });
+}
+
+// What an export line would show for a message, to match imported
+// messages against ones we received live (which have seconds and real IDs)
+function dedupeKey(message) {
+  const minute = Math.floor(message.timestamp / 60000);
+  const content = message.deleted ? '<deleted>'
+    : message.text || (message.media ? '<media>' : `<${message.type}>`);
+  return `${minute}\n${content.trim()}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  ChatArchiveError,
+  exportChat,
+  readExport,
+  parseExport,
+  toMessages,
+  dedupeKey
+};
@@ -0,0 +1,261 @@
+const { isJidGroup } = require('@whiskeysockets/baileys');
+const { JsonFile } = require('./jsonFile');
+const { userPart } = require('./normalize');
+
+// ============ CHAT STORE ============
+// Every chat (groups and 1:1) and contact the socket tells us about
+// through history sync and chat/contact events, plus a preview of each
+// chat's latest message. Only group messages are stored in full (see
+// MessageStore); for direct chats we keep just the preview.
+
+const SAVE_DELAY_MS = 2000;
+const PREVIEW_LENGTH = 100;
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function chatType(jid) {
+  if (isJidGroup(jid)) return 'group';
+  if (/@(s\.whatsapp\.net|lid)$/.test(jid || '')) return 'direct';
+  return null;   // broadcast lists, status, newsletters
+}
+
+function preview(message) {
+  const text = message.text && message.text.length > PREVIEW_LENGTH
+    ? message.text.slice(0, PREVIEW_LENGTH - 1) + '…'
+    : message.text;
+  return {
+    id: message.id,
+    fromMe: message.fromMe,
+    sender: message.sender,
+    senderName: message.senderName,
+    type: message.type,
+    text: message.deleted ? null : text,
+    timestamp: message.timestamp
+  };
+}
+
+// Baileys reports some timestamps in seconds, some in ms
+function toMs(value) {
+  const n = Number(value?.low ?? value);
+  if (!n) return null;
+  if (n < 0) return -1;   // mute "forever"
+  return n < 1e12 ? n * 1000 : n;
+}
+
+class ChatStore {
+  constructor(file) {
+    this.store = new JsonFile(file, { chats: {}, contacts: {}, deleted: {} }, { delay: SAVE_DELAY_MS });
+    this.store.data.deleted ||= {};
+    // Bumped on every change, for the /chats ETag
+    this.revision = 0;
+  }
+
+  changed() {
+    this.revision++;
+    this.store.save();
+  }
+
+  get chats() {
+    return this.store.data.chats;
+  }
+
+  get contacts() {
+    return this.store.data.contacts;
+  }
+
+  // ===== CHATS =====
+
+  chat(id) {
+    delete this.store.data.deleted[id];
+    return this.chats[id] ||= {
+      id,
+      name: null,
+      unreadCount: 0,
+      archived: false,
+      pinned: null,
+      muteEndTime: null,
+      lastActivity: null,
+      lastMessage: null,
+      updatedAt: null
+    };
+  }
+
+  // Only the fields we serve; everything else Baileys sends is dropped
+  applyChat(chat, update, { unreadDelta }) {
+    chat.updatedAt = Date.now();
+    if (update.name !== undefined) chat.name = update.name || chat.name;
+    if (update.unreadCount !== undefined && update.unreadCount !== null) {
+      // chats.update sends new unread messages as a positive delta; zero
+      // (read) and -1 (marked unread) are absolute
+      chat.unreadCount = unreadDelta && update.unreadCount > 0
+        ? chat.unreadCount + update.unreadCount
+        : update.unreadCount;
+    }
+    if (update.archived !== undefined) chat.archived = !!update.archived;
+    if (update.pinned !== undefined) chat.pinned = toMs(update.pinned);
+    if (update.muteEndTime !== undefined) chat.muteEndTime = toMs(update.muteEndTime);
+    if (update.conversationTimestamp !== undefined) {
+      chat.lastActivity = Math.max(chat.lastActivity || 0, toMs(update.conversationTimestamp) || 0) || null;
+    }
+  }
+
+  // Full chat objects (history sync, chats.upsert)
+  upsertChats(chats) {
+    for (const update of chats) {
+      if (!chatType(update.id)) continue;
+      this.applyChat(this.chat(update.id), update, { unreadDelta: false });
+    }
+    this.changed();
+  }
+
+  // Partial updates (chats.update)
+  updateChats(updates) {
+    for (const update of updates) {
+      if (!chatType(update.id)) continue;
+      this.applyChat(this.chat(update.id), update, { unreadDelta: true });
+    }
+    this.changed();
+  }
+
+  deleteChats(ids) {
+    const now = Date.now();
+    for (const id of ids) {
+      delete this.chats[id];
+      this.store.data.deleted[id] = now;
+    }
+    for (const [id, at] of Object.entries(this.store.data.deleted)) {
+      if (now - at > TOMBSTONE_TTL_MS) delete this.store.data.deleted[id];
+    }
+    this.changed();
+  }
+
+  // IDs of chats deleted at or after `since`
+  deletedSince(since) {
+    return Object.entries(this.store.data.deleted)
+      .filter(([, at]) => at >= since)
+      .map(([id]) => id);
+  }
+
+  // Keep the newest message as the chat's preview
+  recordMessage(message) {
+    if (!chatType(message.chatId)) return;
+    const chat = this.chat(message.chatId);
+    if (!chat.lastMessage || chat.lastMessage.timestamp <= message.timestamp) {
+      chat.lastMessage = preview(message);
+    }
+    chat.lastActivity = Math.max(chat.lastActivity || 0, message.timestamp);
+    chat.updatedAt = Date.now();
+    // Push names are the only name we get for people not in the address book
+    if (!message.fromMe && message.senderName && message.sender) {
+      const contact = this.contact(message.sender);
+      contact.notify = message.senderName;
+    }
+    this.changed();
+  }
+
+  // Group subjects from groupFetchAllParticipating()/groupMetadata()
+  noteGroups(groups) {
+    for (const group of groups) {
+      if (!group.subject || this.chats[group.id]?.name === group.subject) continue;
+      const chat = this.chat(group.id);
+      chat.name = group.subject;
+      chat.updatedAt = Date.now();
+    }
+    this.changed();
+  }
+
+  /**
+   * @param {object} opts
+   * @param {'all'|'group'|'direct'} [opts.type]
+   * @returns pinned chats first, then most recently active
+   */
+  listChats({ type = 'all' } = {}) {
+    const now = Date.now();
+    return Object.values(this.chats)
+      .filter(chat => type === 'all' || chatType(chat.id) === type)
+      .map(chat => ({
+        id: chat.id,
+        type: chatType(chat.id),
+        name: this.displayName(chat.id),
+        unreadCount: chat.unreadCount,
+        archived: chat.archived,
+        pinned: chat.pinned !== null,
+        pinnedAt: chat.pinned,
+        // -1 means muted until unmuted
+        muted: chat.muteEndTime === -1 || chat.muteEndTime > now,
+        muteEndTime: chat.muteEndTime,
+        lastActivity: chat.lastActivity,
+        updatedAt: chat.updatedAt,
+        lastMessage: chat.lastMessage && {
+          ...chat.lastMessage,
+          senderName: chat.lastMessage.fromMe ? null : this.displayName(chat.lastMessage.sender, chat.lastMessage.senderName)
+        }
+      }))
+      .sort((a, b) =>
+        (b.pinnedAt || 0) - (a.pinnedAt || 0) || (b.lastActivity || 0) - (a.lastActivity || 0)
+      );
+  }
+
+  // ===== CONTACTS =====
+
+  contact(id) {
+    return this.contacts[id] ||= { id, name: null, notify: null, verifiedName: null };
+  }
+
+  upsertContacts(contacts) {
+    for (const update of contacts) {
+      if (!update.id || chatType(update.id) !== 'direct') continue;
+      const contact = this.contact(update.id);
+      for (const key of ['name', 'notify', 'verifiedName']) {
+        if (update[key]) contact[key] = update[key];
+      }
+      if (update.lid) contact.lid = update.lid;
+      // Their name shows on the 1:1 chat
+      if (this.chats[update.id]) this.chats[update.id].updatedAt = Date.now();
+    }
+    this.changed();
+  }
+
+  // `query` matches names and the phone number
+  listContacts({ query } = {}) {
+    const needle = query?.toLowerCase();
+    return Object.values(this.contacts)
+      .map(c => ({
+        id: c.id,
+        phoneNumber: c.id.endsWith('@s.whatsapp.net') ? userPart(c.id) : null,
+        name: c.name,
+        notify: c.notify,
+        verifiedName: c.verifiedName,
+        displayName: this.displayName(c.id)
+      }))
+      .filter(c => !needle || [c.name, c.notify, c.verifiedName, c.phoneNumber]
+        .some(v => v && v.toLowerCase().includes(needle)))
+      .sort((a, b) => a.displayName.localeCompare(b.displayName));
+  }
+
+  // JID of the contact shown under `name`, if exactly one is
+  contactIdByName(name) {
+    const matches = Object.keys(this.contacts).filter(id => this.displayName(id) === name);
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Best name for a JID: saved contact name, then the chat or group name,
+   * then their own push name or business name, then the phone number.
+   */
+  displayName(jid, fallback = null) {
+    if (!jid) return fallback;
+    const contact = this.contacts[jid];
+    return contact?.name
+      || this.chats[jid]?.name
+      || contact?.notify
+      || contact?.verifiedName
+      || fallback
+      || (isJidGroup(jid) ? jid : `+${userPart(jid)}`);
+  }
+
+  flush() {
+    this.store.flush();
+  }
+}
+
+module.exports = { ChatStore, chatType };
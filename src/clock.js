@@ -0,0 +1,77 @@
+// ============ CLOCK ============
+// Wall-clock time in an IANA timezone, for rules and schedules that are
+// written in local time. `timezone` undefined means the server's zone.
+
+const formatters = new Map();
+
+function formatter(timezone) {
+  const key = timezone || '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(key);
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * @returns {{ date: string, year: number, month: number, day: number,
+ *   hour: number, minute: number, weekday: number, minuteOfDay: number }}
+ *   `date` is YYYY-MM-DD, `weekday` is 0 for Sunday
+ */
+function zonedTime(timestamp, timezone) {
+  const parts = {};
+  for (const { type, value } of formatter(timezone).formatToParts(new Date(timestamp))) {
+    parts[type] = value;
+  }
+  const hour = Number(parts.hour);
+  const minute = Number(parts.minute);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour,
+    minute,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minuteOfDay: hour * 60 + minute
+  };
+}
+
+/**
+ * The instant a wall-clock time in `timezone` refers to - the inverse of
+ * zonedTime(). Times a DST change skips come out an hour off.
+ * @param {{ year: number, month: number, day: number, hour: number,
+ *   minute: number, second?: number }} local
+ */
+function fromZonedTime({ year, month, day, hour, minute, second = 0 }, timezone) {
+  const wanted = Date.UTC(year, month - 1, day, hour, minute, second);
+  let guess = wanted;
+  // Twice, in case the first guess is on the other side of a DST change
+  for (let i = 0; i < 2; i++) {
+    const local = zonedTime(guess, timezone);
+    const shown = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, second);
+    guess += wanted - shown;
+  }
+  return guess;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { zonedTime, fromZonedTime, isValidTimezone };
@@ -0,0 +1,128 @@
+const { zonedTime } = require('./clock');
+
+// ============ CRON ============
+// Standard 5-field expressions (minute hour day-of-month month
+// day-of-week) with lists, ranges, steps and month/day names, plus the
+// @hourly/@daily/@weekly/@monthly/@yearly shortcuts. Times are local to
+// the given timezone.
+
+const MINUTE_MS = 60 * 1000;
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAYS, offset: 0 }
+];
+
+class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CronError';
+  }
+}
+
+function parseValue(value, field) {
+  const named = field.names?.indexOf(value.toLowerCase());
+  if (named !== undefined && named !== -1) return named + field.offset;
+  if (!/^\d+$/.test(value)) throw new CronError(`Invalid ${field.name}: ${value}`);
+  const n = Number(value);
+  if (n < field.min || n > field.max) {
+    throw new CronError(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new CronError(`Invalid step in ${field.name}: ${part}`);
+
+    let start, end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      [start, end] = [parseValue(a, field), parseValue(b, field)];
+      if (start > end) throw new CronError(`Invalid range in ${field.name}: ${range}`);
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse an expression; throws CronError if it is invalid.
+ * @returns {{ minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, anyDay: boolean, anyWeekday: boolean }}
+ */
+function parseCron(expression) {
+  const text = MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new CronError('Cron expression must have 5 fields: minute hour day month weekday');
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is Sunday too
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+function dayMatches(cron, local) {
+  const dom = cron.days.has(local.day);
+  const dow = cron.weekdays.has(local.weekday);
+  // Classic cron: if both are restricted, either one may match
+  if (!cron.anyDay && !cron.anyWeekday) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * First matching minute strictly after `after` (ms), or null if there is
+ * none within five years (e.g. "0 0 31 2 *").
+ */
+function nextRun(cron, after, timezone) {
+  let t = Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = after + SEARCH_LIMIT_MS;
+
+  while (t < limit) {
+    const local = zonedTime(t, timezone);
+    if (!cron.months.has(local.month) || !dayMatches(cron, local) || !cron.hours.has(local.hour)) {
+      // Skip to the next local hour; going hour by hour keeps DST shifts safe
+      t += (60 - local.minute) * MINUTE_MS;
+      continue;
+    }
+    if (cron.minutes.has(local.minute)) return t;
+    t += MINUTE_MS;
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextRun, CronError };
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const { JsonFile } = require('./jsonFile');
+const { logger: rootLogger } = require('./logger');
+const { zonedTime, isValidTimezone } = require('./clock');
+const { userPart } = require('./normalize');
+
+// ============ DIGESTS ============
+// Once a day, at `settings.time` in `settings.timezone`, every watched
+// group gets an extractive digest of what was said since the previous
+// run: who talked most, what got the most replies and reactions, links,
+// media and mentions of us. If the server was down at that time the run
+// happens as soon as it is back the same day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_WINDOW_MS = 7 * DAY_MS;
+const TICK_MS = 60 * 1000;
+const KEEP_PER_CHAT = 30;
+const TOP_PARTICIPANTS = 5;
+const TOP_MESSAGES = 5;
+const MAX_ITEMS = 50;
+const EXCERPT_LENGTH = 200;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/gi;
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  chatIds: [],        // watched groups
+  time: '08:00',
+  timezone: null,     // server time
+  deliverTo: null     // chat that also receives each digest as a message
+};
+
+class DigestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DigestError';
+    this.statusCode = 400;
+  }
+}
+
+function validateSettings({ enabled, chatIds, time, timezone, deliverTo }) {
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new DigestError('enabled must be a boolean');
+  }
+  if (chatIds !== undefined && (!Array.isArray(chatIds) || chatIds.some(c => typeof c !== 'string' || !c.endsWith('@g.us')))) {
+    throw new DigestError('chatIds must be an array of group IDs');
+  }
+  if (time !== undefined && !TIME_PATTERN.test(time)) {
+    throw new DigestError('time must be HH:MM');
+  }
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    throw new DigestError(`Unknown timezone: ${timezone}`);
+  }
+  if (deliverTo !== undefined && deliverTo !== null && (typeof deliverTo !== 'string' || !deliverTo.includes('@'))) {
+    throw new DigestError('deliverTo must be a chat ID or null');
+  }
+}
+
+function minutes(hhmm) {
+  const [, h, m] = hhmm.match(TIME_PATTERN);
+  return Number(h) * 60 + Number(m);
+}
+
+function excerpt(text) {
+  if (!text) return null;
+  return text.length > EXCERPT_LENGTH ? text.slice(0, EXCERPT_LENGTH - 1) + '…' : text;
+}
+
+function fallbackName(jid, pushName) {
+  return pushName || `+${userPart(jid)}`;
+}
+
+/**
+ * Build a digest from a chat's messages in [from, to).
+ * @param {object[]} messages - stored messages, ascending
+ * @param {object} opts
+ * @param {string[]} [opts.selfIds] - our own JIDs, for mentions
+ * @param {(jid: string, pushName: string|null) => string} [opts.displayName] - name for a sender
+ * @param {string} [opts.selfName] - name for our own messages
+ */
+function buildDigest(chatId, messages, { from, to, selfIds = [], displayName = fallbackName, selfName = 'You' }) {
+  const self = new Set(selfIds.filter(Boolean).map(userPart));
+  const live = messages.filter(m => !m.deleted);
+
+  // Every name comes from here, so a sender reads the same everywhere
+  const pushNames = new Map();   // jid -> latest push name
+  for (const m of live) {
+    if (m.fromMe && m.sender) self.add(userPart(m.sender));
+    if (m.senderName) pushNames.set(m.sender, m.senderName);
+  }
+  const nameOf = (jid) => self.has(userPart(jid)) ? selfName : displayName(jid, pushNames.get(jid) || null);
+
+  const replies = new Map();   // messageId -> reply count
+  for (const m of live) {
+    if (m.quoted?.id) replies.set(m.quoted.id, (replies.get(m.quoted.id) || 0) + 1);
+  }
+
+  const participants = new Map();   // jid -> { jid, name, count }
+  for (const m of live) {
+    if (!m.sender) continue;
+    const entry = participants.get(m.sender) || { jid: m.sender, name: nameOf(m.sender), count: 0 };
+    entry.count++;
+    participants.set(m.sender, entry);
+  }
+
+  const summary = (m) => ({
+    id: m.id,
+    sender: m.sender,
+    senderName: nameOf(m.sender),
+    timestamp: m.timestamp,
+    text: excerpt(m.text)
+  });
+
+  const topMessages = live
+    .map(m => ({
+      ...summary(m),
+      replies: replies.get(m.id) || 0,
+      reactions: Object.keys(m.reactions || {}).length
+    }))
+    .filter(m => m.replies + m.reactions > 0)
+    .sort((a, b) => (b.replies + b.reactions) - (a.replies + a.reactions) || b.timestamp - a.timestamp)
+    .slice(0, TOP_MESSAGES);
+
+  const links = [];
+  const seenLinks = new Set();
+  for (const m of live) {
+    for (const match of (m.text || '').matchAll(URL_PATTERN)) {
+      // Trailing punctuation is almost always the sentence, not the URL
+      const url = match[0].replace(/[.,;:!?)\]]+$/, '');
+      if (seenLinks.has(url)) continue;
+      seenLinks.add(url);
+      links.push({ url, messageId: m.id, sender: m.sender, timestamp: m.timestamp });
+    }
+  }
+
+  const media = live
+    .filter(m => m.media)
+    .map(m => ({ messageId: m.id, type: m.media.type, fileName: m.media.fileName, sender: m.sender, timestamp: m.timestamp }));
+
+  const mentions = live
+    .filter(m => !m.fromMe && m.mentions.some(jid => self.has(userPart(jid))))
+    .map(summary);
+
+  return {
+    id: crypto.randomUUID(),
+    chatId,
+    subject: null,
+    from,
+    to,
+    generatedAt: Date.now(),
+    messageCount: live.length,
+    participantCount: participants.size,
+    topParticipants: [...participants.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_PARTICIPANTS),
+    topMessages,
+    links: links.slice(-MAX_ITEMS),
+    media: media.slice(-MAX_ITEMS),
+    mediaCount: media.length,
+    mentions: mentions.slice(-MAX_ITEMS),
+    delivery: null
+  };
+}
+
+// Plain-text rendering for sending into a WhatsApp chat
+function formatDigest(digest, { timezone } = {}) {
+  const day = (ts) => zonedTime(ts, timezone).date;
+  const lines = [
+    `📋 *Digest: ${digest.subject || digest.chatId}*`,
+    `${day(digest.from)} → ${day(digest.to)}`,
+    `💬 ${digest.messageCount} messages from ${digest.participantCount} people`
+  ];
+
+  if (digest.topParticipants.length) {
+    lines.push('', '*Most active*');
+    digest.topParticipants.forEach((p, i) => lines.push(`${i + 1}. ${p.name} (${p.count})`));
+  }
+  if (digest.topMessages.length) {
+    lines.push('', '*Top messages*');
+    for (const m of digest.topMessages) {
+      const counts = [
+        m.replies && `${m.replies} ${m.replies === 1 ? 'reply' : 'replies'}`,
+        m.reactions && `${m.reactions} ${m.reactions === 1 ? 'reaction' : 'reactions'}`
+      ].filter(Boolean).join(', ');
+      lines.push(`• ${m.senderName}: ${m.text || '[media]'} (${counts})`);
+    }
+  }
+  if (digest.mentions.length) {
+    lines.push('', '*Mentions of you*');
+    for (const m of digest.mentions) lines.push(`• ${m.senderName}: ${m.text || ''}`);
+  }
+  if (digest.links.length) {
+    lines.push('', '*Links*');
+    for (const link of digest.links) lines.push(`• ${link.url}`);
+  }
+  if (digest.mediaCount) {
+    const byType = {};
+    for (const m of digest.media) byType[m.type] = (byType[m.type] || 0) + 1;
+    lines.push('', `*Media*: ${Object.entries(byType).map(([type, n]) => `${n} ${type}`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+class Digests {
+  /**
+   * @param {string} file
+   * @param {object} opts
+   * @param {import('./messageStore').MessageStore} opts.messageStore
+   * @param {() => string[]} opts.selfIds - our own JIDs, for mentions
+   * @param {(jid: string, pushName: string|null) => string} opts.displayName - name for a sender
+   * @param {() => string} opts.selfName - name for our own messages
+   * @param {(chatId: string) => Promise<string|null>} opts.subjectOf - group name if known
+   * @param {(chatId: string, text: string) => string} opts.deliver - queues a message, returns the outbox job ID
+   * @param {import('pino').Logger} [opts.logger]
+   */
+  constructor(file, { messageStore, selfIds, displayName, selfName, subjectOf, deliver, logger = rootLogger }) {
+    this.logger = logger.child({ module: 'digests' });
+    this.messageStore = messageStore;
+    this.selfIds = selfIds;
+    this.displayName = displayName;
+    this.selfName = selfName;
+    this.subjectOf = subjectOf;
+    this.deliver = deliver;
+    this.store = new JsonFile(file, {
+      settings: DEFAULT_SETTINGS,
+      lastRunDate: null,   // local date of the last scheduled run
+      lastRunAt: null,
+      digests: {}          // chatId -> digests, newest first
+    });
+    this.timer = null;
+    this.running = false;
+  }
+
+  get settings() {
+    return this.store.data.settings;
+  }
+
+  updateSettings(patch) {
+    validateSettings(patch);
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (patch[key] !== undefined) this.settings[key] = patch[key];
+    }
+    this.store.save();
+    return this.status();
+  }
+
+  status() {
+    return {
+      ...this.settings,
+      lastRunAt: this.store.data.lastRunAt
+    };
+  }
+
+  list(chatId) {
+    return this.store.data.digests[chatId] || [];
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref?.();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Run once per local day, at or after the configured time
+  async tick() {
+    const { enabled, chatIds, time, timezone } = this.settings;
+    if (!enabled || !chatIds.length || this.running) return;
+
+    const now = Date.now();
+    const local = zonedTime(now, timezone || undefined);
+    if (local.minuteOfDay < minutes(time) || this.store.data.lastRunDate === local.date) return;
+
+    this.running = true;
+    try {
+      const from = Math.max(this.store.data.lastRunAt || now - DAY_MS, now - MAX_WINDOW_MS);
+      this.logger.info({ groups: chatIds.length }, '📋 Generating digests');
+      for (const chatId of chatIds) {
+        try {
+          await this.generate(chatId, { from, to: now, deliver: true });
+        } catch (err) {
+          this.logger.error({ chatId, err }, '❌ Digest failed');
+        }
+      }
+      this.store.data.lastRunDate = local.date;
+      this.store.data.lastRunAt = now;
+      this.store.save();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Build and store a digest for [from, to). With `deliver`, it is also
+   * queued as a message to `deliverTo` (default: the configured chat).
+   */
+  async generate(chatId, { from, to, deliver = false, deliverTo = this.settings.deliverTo }) {
+    const messages = this.messageStore.range(chatId, from, to);
+    const digest = buildDigest(chatId, messages, {
+      from,
+      to,
+      selfIds: this.selfIds(),
+      displayName: this.displayName,
+      selfName: this.selfName()
+    });
+    digest.subject = await this.subjectOf(chatId).catch(() => null);
+
+    if (deliver && deliverTo) {
+      const text = formatDigest(digest, { timezone: this.settings.timezone || undefined });
+      digest.delivery = { chatId: deliverTo, jobId: this.deliver(deliverTo, text) };
+    }
+
+    const list = this.store.data.digests[chatId] ||= [];
+    list.unshift(digest);
+    list.splice(KEEP_PER_CHAT);
+    this.store.save();
+    return digest;
+  }
+
+  flush() {
+    this.store.flush();
+  }
+}
+
+module.exports = { Digests, DigestError, buildDigest, formatDigest };
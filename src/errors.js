@@ -0,0 +1,133 @@
+// ============ API ERRORS ============
+// Every error response has the same shape:
+//
+//   { "error": "Not connected to WhatsApp", "code": "NOT_CONNECTED", "requestId": "..." }
+//
+// plus `details` for validation failures. `error` stays a readable
+// message, as it always was; `code` is stable and is what clients should
+// branch on. The codes are listed in the OpenAPI document.
+
+// code -> [HTTP status, description]
+const ERROR_CODES = {
+  INVALID_REQUEST: [400, 'A parameter or body field is missing or invalid (see `details`)'],
+  INVALID_JSON: [400, 'The request body is not valid JSON'],
+  INVALID_CURSOR: [400, 'The pagination cursor is not one we issued'],
+  INVALID_CHAT_ID: [400, 'Not a group or direct chat ID'],
+  NOT_A_GROUP: [400, 'The chat ID is not a group (`...@g.us`)'],
+  BACKUP_DECRYPT_FAILED: [400, 'Wrong passphrase, or the backup is damaged'],
+  UNAUTHORIZED: [401, 'Missing or invalid API key'],
+  INSUFFICIENT_SCOPE: [403, 'The API key lacks the scope this route needs'],
+  NOT_GROUP_PARTICIPANT: [403, 'The linked account is not in the group'],
+  NOT_GROUP_ADMIN: [403, 'The linked account is not an admin of the group'],
+  ROUTE_NOT_FOUND: [404, 'No such route'],
+  SESSION_NOT_FOUND: [404, 'No session with this ID'],
+  SESSION_NOT_LINKED: [404, 'The session has no credentials yet'],
+  CHAT_NOT_FOUND: [404, 'Nothing stored for this chat'],
+  GROUP_NOT_FOUND: [404, 'WhatsApp does not know this group'],
+  MESSAGE_NOT_FOUND: [404, 'No stored message with this ID'],
+  MEDIA_NOT_FOUND: [404, 'The message has no downloadable media'],
+  POLL_NOT_FOUND: [404, 'No poll known with this message ID'],
+  JOB_NOT_FOUND: [404, 'No outbox job with this ID'],
+  SCHEDULE_NOT_FOUND: [404, 'No schedule with this ID'],
+  RULE_NOT_FOUND: [404, 'No rule with this ID'],
+  WEBHOOK_NOT_FOUND: [404, 'No webhook with this ID'],
+  DEAD_LETTER_NOT_FOUND: [404, 'No dead letter with this ID'],
+  KEY_NOT_FOUND: [404, 'No API key with this ID'],
+  NOT_FOUND: [404, 'The resource does not exist'],
+  SESSION_EXISTS: [409, 'A session with this ID already exists'],
+  ALREADY_CONNECTED: [409, 'The session is already connected'],
+  ALREADY_LINKED: [409, 'The session is already linked to a phone'],
+  CONFLICT: [409, 'The request conflicts with the current state'],
+  MEDIA_GONE: [410, 'The media is no longer available'],
+  PAYLOAD_TOO_LARGE: [413, 'The upload or body is too large'],
+  INTERNAL_ERROR: [500, 'Unexpected server error'],
+  AUTH_STATE_UNREADABLE: [500, 'Stored credentials cannot be decrypted with the configured key'],
+  UPSTREAM_ERROR: [502, 'WhatsApp rejected or failed the request'],
+  NOT_CONNECTED: [503, 'The session is not connected to WhatsApp'],
+  NOT_READY: [503, 'The connection is not ready for this yet; retry shortly'],
+  SHUTTING_DOWN: [503, 'The server is restarting; retry shortly']
+};
+
+// For errors that only carry a status
+const STATUS_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'INSUFFICIENT_SCOPE',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'MEDIA_GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  502: 'UPSTREAM_ERROR',
+  503: 'NOT_READY'
+};
+
+class ApiError extends Error {
+  /**
+   * @param {string} code - one of ERROR_CODES
+   * @param {string} [message] - defaults to the code's description
+   * @param {object[]} [details]
+   */
+  constructor(code, message, details) {
+    super(message || ERROR_CODES[code][1]);
+    this.name = 'ApiError';
+    this.code = code;
+    this.statusCode = ERROR_CODES[code][0];
+    this.details = details;
+  }
+}
+
+/**
+ * The API error for anything a route throws or passes to next(). The
+ * module errors (SessionError, RuleError, ...) carry a statusCode and
+ * sometimes a code; body-parser and multer have their own.
+ */
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (err?.type === 'entity.parse.failed') return new ApiError('INVALID_JSON', `Invalid JSON: ${err.message}`);
+  if (err?.type === 'entity.too.large' || err?.code === 'LIMIT_FILE_SIZE') {
+    return new ApiError('PAYLOAD_TOO_LARGE', err.message);
+  }
+  if (err?.name === 'MulterError') return new ApiError('INVALID_REQUEST', err.message);
+
+  const status = err?.statusCode;
+  if (!Number.isInteger(status)) return null;
+  const code = ERROR_CODES[err.code] ? err.code : (STATUS_CODES[status] || 'INTERNAL_ERROR');
+  const apiError = new ApiError(code, err.message);
+  apiError.statusCode = status;
+  return apiError;
+}
+
+function sendError(req, res, code, message, details) {
+  const err = new ApiError(code, message, details);
+  res.status(err.statusCode).json(errorBody(req, err));
+}
+
+function errorBody(req, err) {
+  return {
+    error: err.message,
+    code: err.code,
+    ...(err.details && { details: err.details }),
+    requestId: req.id
+  };
+}
+
+// Express error handler, mounted last. Errors with a status are ones we
+// raised on purpose; anything else is a bug and gets logged.
+function errorHandler() {
+  return (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    const apiError = toApiError(err);
+    if (apiError) {
+      return res.status(apiError.statusCode).json(errorBody(req, apiError));
+    }
+    req.log.error({ err }, 'Request failed');
+    res.status(500).json(errorBody(req, new ApiError('INTERNAL_ERROR', err.message)));
+  };
+}
+
+// 404 for anything no route matched
+function routeNotFound() {
+  return (req, res) => sendError(req, res, 'ROUTE_NOT_FOUND', `No route for ${req.method} ${req.path}`);
+}
+
+module.exports = { ApiError, ERROR_CODES, sendError, errorHandler, routeNotFound };
@@ -0,0 +1,190 @@
+const { WebSocketServer } = require('ws');
+const { logger } = require('./logger');
+
+// ============ EVENT STREAM ============
+// In-process fan-out of server events to SSE and WebSocket clients.
+// Recent events are kept in a ring buffer so a client that reconnects
+// with its last event ID gets what it missed.
+
+const BUFFER_SIZE = 1000;
+const KEEPALIVE_MS = 25000;
+
+const log = logger.child({ module: 'events' });
+
+class EventStream {
+  constructor({ bufferSize = BUFFER_SIZE } = {}) {
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.subscribers = new Set();
+    // Seeded from the clock so IDs keep increasing across restarts
+    this.seq = Date.now();
+  }
+
+  publish(type, data) {
+    const event = { id: String(++this.seq), type, timestamp: Date.now(), data };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+
+    for (const sub of this.subscribers) {
+      if (matches(sub.filter, event)) sub.send(event);
+    }
+    return event;
+  }
+
+  /**
+   * Replays buffered events newer than `filter.lastEventId`, then
+   * forwards live ones. `close` ends the client's connection, for
+   * close(). Returns an unsubscribe function.
+   */
+  subscribe(filter, send, close = () => {}) {
+    if (filter.lastEventId) {
+      const after = Number(filter.lastEventId);
+      for (const event of this.buffer) {
+        if (Number(event.id) > after && matches(filter, event)) send(event);
+      }
+    }
+
+    const sub = { filter, send, close };
+    this.subscribers.add(sub);
+    return () => this.subscribers.delete(sub);
+  }
+
+  get clientCount() {
+    return this.subscribers.size;
+  }
+
+  // Disconnect every client (server exit); they reconnect with Last-Event-ID
+  close() {
+    for (const sub of [...this.subscribers]) sub.close();
+    this.subscribers.clear();
+  }
+}
+
+/**
+ * Build a filter from query params:
+ *   ?types=message.new,qr.update  &chatId=1203...@g.us  &sessionId=support
+ *   &lastEventId=123
+ * Events that don't belong to a chat (connection, QR, user) are not
+ * affected by the chatId filter.
+ */
+function parseFilter(query, lastEventIdHeader) {
+  const list = (value) => value
+    ? String(value).split(',').map(v => v.trim()).filter(Boolean)
+    : null;
+
+  return {
+    types: list(query.types),
+    chatIds: list(query.chatId),
+    sessionIds: list(query.sessionId),
+    lastEventId: lastEventIdHeader || query.lastEventId || null
+  };
+}
+
+function matches(filter, event) {
+  if (filter.types && !filter.types.includes(event.type)) return false;
+  const chatId = event.data?.chatId;
+  if (filter.chatEvents === false && chatId) return false;
+  if (filter.chatIds && chatId && !filter.chatIds.includes(chatId)) return false;
+  const sessionId = event.data?.sessionId;
+  if (filter.sessionIds && sessionId && !filter.sessionIds.includes(sessionId)) return false;
+  return true;
+}
+
+// ===== SERVER-SENT EVENTS =====
+
+/**
+ * `overrides` is merged into the parsed filter, e.g. `{ chatEvents: false }`
+ * to withhold chat content from a client that may only see status.
+ */
+function handleSse(stream, req, res, snapshot, overrides = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const write = (event) => {
+    if (event.id) res.write(`id: ${event.id}\n`);
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const filter = { ...parseFilter(req.query, req.get('Last-Event-ID')), ...overrides };
+  write({ type: 'snapshot', timestamp: Date.now(), data: snapshot(filter) });
+  const unsubscribe = stream.subscribe(filter, write, () => res.end());
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    unsubscribe();
+  });
+}
+
+// ===== WEBSOCKET =====
+
+/**
+ * `authorize(req, query)` returns filter overrides for an accepted
+ * client, or null to answer 401.
+ */
+function attachWebSocket(server, stream, { path, snapshot, authorize }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    // A reset mid-handshake must not become an uncaught 'error'
+    socket.on('error', (err) => log.debug({ err }, 'Upgrade socket error'));
+
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (e) {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n', () => socket.destroy());
+      return;
+    }
+    if (url.pathname !== path) {
+      socket.destroy();
+      return;
+    }
+    const query = Object.fromEntries(url.searchParams);
+    const overrides = authorize(req, query);
+    if (!overrides) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, { ...parseFilter(query, req.headers['last-event-id']), ...overrides });
+    });
+  });
+
+  wss.on('connection', (ws, filter) => {
+    const send = (event) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+    };
+
+    send({ type: 'snapshot', timestamp: Date.now(), data: snapshot(filter) });
+    // 1001: going away
+    const unsubscribe = stream.subscribe(filter, send, () => ws.close(1001, 'Server shutting down'));
+
+    let alive = true;
+    ws.on('pong', () => { alive = true; });
+    const heartbeat = setInterval(() => {
+      if (!alive) return ws.terminate();
+      alive = false;
+      ws.ping();
+    }, KEEPALIVE_MS);
+
+    // Protocol violations from the client; 'close' follows and cleans up
+    ws.on('error', (err) => {
+      log.debug({ err }, 'WebSocket client error');
+      ws.terminate();
+    });
+
+    ws.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return wss;
+}
+
+module.exports = { EventStream, handleSse, attachWebSocket };
@@ -0,0 +1,156 @@
+const { JsonFile } = require('./jsonFile');
+const { userPart } = require('./normalize');
+
+// ============ GROUP CACHE ============
+// Metadata of every group we're in, so /chats and Baileys (when it sends
+// to a group) don't have to ask WhatsApp each time. Filled with one
+// groupFetchAllParticipating() per connection and kept current from
+// groups.upsert, groups.update and group-participants.update. Groups we
+// leave stay as tombstones for a while so `?since=` clients learn about it.
+
+const SAVE_DELAY_MS = 2000;
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// groups.update fields we keep; `author` etc. describe the event, not the group
+const UPDATABLE_FIELDS = [
+  'subject', 'subjectOwner', 'subjectTime',
+  'desc', 'descId', 'descOwner',
+  'announce', 'restrict', 'memberAddMode', 'joinApprovalMode',
+  'ephemeralDuration', 'size'
+];
+
+class GroupCache {
+  /**
+   * @param {string} file
+   * @param {object} opts
+   * @param {() => string[]} opts.selfIds - our own JIDs, to notice when we leave
+   */
+  constructor(file, { selfIds }) {
+    this.selfIds = selfIds;
+    this.store = new JsonFile(file, { groups: {}, removed: {}, fetchedAt: null }, { delay: SAVE_DELAY_MS });
+    // Bumped on every change; part of the /chats ETag. Starts over on
+    // restart, which is fine because the ETag also carries a boot ID.
+    this.revision = 0;
+  }
+
+  get groups() {
+    return this.store.data.groups;
+  }
+
+  get fetchedAt() {
+    return this.store.data.fetchedAt;
+  }
+
+  get(id) {
+    return this.groups[id] || null;
+  }
+
+  list() {
+    return Object.values(this.groups);
+  }
+
+  changed() {
+    this.revision++;
+    this.store.save();
+  }
+
+  // ===== UPDATES =====
+
+  /**
+   * A full fetch: everything we're in. Groups missing from it were left.
+   * @param {object} groups - groupFetchAllParticipating() result (id -> metadata)
+   */
+  replaceAll(groups) {
+    const now = Date.now();
+    for (const id of Object.keys(this.groups)) {
+      if (!groups[id]) this.markRemoved(id, now);
+    }
+    for (const metadata of Object.values(groups)) this.put(metadata, now);
+    this.store.data.fetchedAt = now;
+    this.pruneRemoved(now);
+    this.changed();
+  }
+
+  // Full metadata from groupMetadata() or groups.upsert
+  upsert(metadata) {
+    this.put(metadata, Date.now());
+    this.changed();
+  }
+
+  put(metadata, now) {
+    if (!metadata?.id) return;
+    this.groups[metadata.id] = { ...metadata, updatedAt: now };
+    delete this.store.data.removed[metadata.id];
+  }
+
+  // groups.update: partial changes, e.g. { id, subject } or { id, announce }
+  applyUpdates(updates) {
+    const now = Date.now();
+    let touched = false;
+    for (const update of updates) {
+      const group = this.groups[update.id];
+      // Not fetched yet - the next full fetch will have it
+      if (!group) continue;
+      for (const field of UPDATABLE_FIELDS) {
+        if (update[field] !== undefined) group[field] = update[field];
+      }
+      group.updatedAt = now;
+      touched = true;
+    }
+    if (touched) this.changed();
+  }
+
+  // group-participants.update. Participants are JIDs, or objects with an `id`.
+  applyParticipants({ id, participants, action }) {
+    const group = this.groups[id];
+    if (!group) return;
+    const jids = participants.map(p => (typeof p === 'string' ? p : p.id));
+    const now = Date.now();
+
+    if (action === 'remove' && this.includesSelf(jids)) {
+      this.markRemoved(id, now);
+      this.changed();
+      return;
+    }
+
+    const list = group.participants || [];
+    const has = (jid) => list.find(p => userPart(p.id) === userPart(jid));
+    for (const jid of jids) {
+      const existing = has(jid);
+      if (action === 'add' && !existing) list.push({ id: jid, admin: null });
+      if (action === 'remove' && existing) list.splice(list.indexOf(existing), 1);
+      if (action === 'promote' && existing) existing.admin = 'admin';
+      if (action === 'demote' && existing) existing.admin = null;
+    }
+    group.participants = list;
+    group.size = list.length;
+    group.updatedAt = now;
+    this.changed();
+  }
+
+  includesSelf(jids) {
+    const self = new Set(this.selfIds().map(userPart));
+    return jids.some(jid => self.has(userPart(jid)));
+  }
+
+  markRemoved(id, now) {
+    delete this.groups[id];
+    this.store.data.removed[id] = now;
+  }
+
+  pruneRemoved(now) {
+    for (const [id, at] of Object.entries(this.store.data.removed)) {
+      if (now - at > TOMBSTONE_TTL_MS) delete this.store.data.removed[id];
+    }
+  }
+
+  // When we left the group, or null if we're in it (or left long ago)
+  removedAt(id) {
+    return this.store.data.removed[id] ?? null;
+  }
+
+  flush() {
+    this.store.flush();
+  }
+}
+
+module.exports = { GroupCache };
@@ -0,0 +1,202 @@
+const { userPart } = require('./normalize');
+
+// ============ GROUP MANAGEMENT ============
+// Thin layer over Baileys' group calls that checks our own admin rights
+// first, so every route fails the same way when we lack them instead of
+// surfacing whatever WhatsApp happened to answer.
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2048;
+const INVITE_URL = 'https://chat.whatsapp.com/';
+
+class GroupError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} statusCode
+   * @param {string} code - stable, machine-readable reason
+   */
+  constructor(message, statusCode, code) {
+    super(message);
+    this.name = 'GroupError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const notAdmin = () => new GroupError('We are not an admin of this group', 403, 'NOT_GROUP_ADMIN');
+
+// Boom errors from group IQs carry WhatsApp's status code
+function toGroupError(err, { adminAction }) {
+  if (err instanceof GroupError) return err;
+  const status = err?.output?.statusCode || err?.data?.attrs?.code;
+  if (status === 404 || err?.message === 'item-not-found') {
+    return new GroupError('Group not found', 404, 'GROUP_NOT_FOUND');
+  }
+  if (status === 401 || status === 403 || err?.message === 'forbidden' || err?.message === 'not-authorized') {
+    return adminAction
+      ? notAdmin()
+      : new GroupError('We are not a participant of this group', 403, 'NOT_GROUP_PARTICIPANT');
+  }
+  return err;
+}
+
+class Groups {
+  /**
+   * @param {object} opts
+   * @param {() => object|null} opts.socket - the connected socket, or null
+   * @param {() => string[]} opts.selfIds - our own JIDs
+   * @param {(metadata: object) => void} [opts.onMetadata] - gets every fresh metadata fetch
+   */
+  constructor({ socket, selfIds, onMetadata = () => {} }) {
+    this.socket = socket;
+    this.selfIds = selfIds;
+    this.onMetadata = onMetadata;
+  }
+
+  sock() {
+    const sock = this.socket();
+    if (!sock) throw new GroupError('Not connected to WhatsApp', 503, 'NOT_CONNECTED');
+    return sock;
+  }
+
+  // Run a Baileys call, translating its errors
+  async call(fn, { adminAction = true } = {}) {
+    try {
+      return await fn(this.sock());
+    } catch (err) {
+      throw toGroupError(err, { adminAction });
+    }
+  }
+
+  static validateId(chatId) {
+    if (typeof chatId !== 'string' || !chatId.endsWith('@g.us')) {
+      throw new GroupError('Not a group ID', 400, 'NOT_A_GROUP');
+    }
+  }
+
+  // Our entry in the participant list; groups may list us by phone JID or LID
+  self(metadata) {
+    const self = new Set(this.selfIds().map(userPart));
+    return metadata.participants.find(p =>
+      [p.id, p.lid, p.phoneNumber].some(jid => jid && self.has(userPart(jid)))
+    ) || null;
+  }
+
+  // Always live: admin checks must not trust a cached participant list
+  async metadata(chatId) {
+    Groups.validateId(chatId);
+    const metadata = await this.call(sock => sock.groupMetadata(chatId), { adminAction: false });
+    this.onMetadata(metadata);
+    return metadata;
+  }
+
+  async info(chatId) {
+    const metadata = await this.metadata(chatId);
+    const me = this.self(metadata);
+    return {
+      id: metadata.id,
+      subject: metadata.subject || null,
+      description: metadata.desc || null,
+      owner: metadata.owner || null,
+      creation: metadata.creation || null,
+      announce: !!metadata.announce,
+      locked: !!metadata.restrict,
+      size: metadata.size || metadata.participants.length,
+      me: {
+        isParticipant: !!me,
+        isAdmin: !!me?.admin
+      },
+      participants: metadata.participants.map(p => ({
+        id: p.id,
+        admin: p.admin || null,
+        isAdmin: !!p.admin,
+        isSuperAdmin: p.admin === 'superadmin'
+      }))
+    };
+  }
+
+  async requireAdmin(chatId) {
+    const metadata = await this.metadata(chatId);
+    const me = this.self(metadata);
+    if (!me) throw new GroupError('We are not a participant of this group', 403, 'NOT_GROUP_PARTICIPANT');
+    if (!me.admin) throw notAdmin();
+    return metadata;
+  }
+
+  /**
+   * Add, remove, promote or demote. WhatsApp answers per participant, so
+   * some may fail (e.g. 403 when their privacy settings block adding).
+   */
+  async updateParticipants(chatId, participants, action) {
+    if (!PARTICIPANT_ACTIONS.includes(action)) {
+      throw new GroupError(`action must be one of: ${PARTICIPANT_ACTIONS.join(', ')}`, 400, 'INVALID_REQUEST');
+    }
+    if (!Array.isArray(participants) || !participants.length) {
+      throw new GroupError('participants must be a non-empty array', 400, 'INVALID_REQUEST');
+    }
+    await this.requireAdmin(chatId);
+    const results = await this.call(sock => sock.groupParticipantsUpdate(chatId, participants, action));
+    return results.map(r => {
+      const status = Number(r.status);
+      return { jid: r.jid, status, success: status === 200 };
+    });
+  }
+
+  /**
+   * Change any of subject, description, announce (only admins can send)
+   * and locked (only admins can edit group info).
+   */
+  async update(chatId, { subject, description, announce, locked }) {
+    if (subject !== undefined && (typeof subject !== 'string' || !subject.trim() || subject.length > MAX_SUBJECT_LENGTH)) {
+      throw new GroupError(`subject must be 1-${MAX_SUBJECT_LENGTH} characters`, 400, 'INVALID_REQUEST');
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      throw new GroupError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`, 400, 'INVALID_REQUEST');
+    }
+    for (const [name, value] of Object.entries({ announce, locked })) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        throw new GroupError(`${name} must be a boolean`, 400, 'INVALID_REQUEST');
+      }
+    }
+    if ([subject, description, announce, locked].every(v => v === undefined)) {
+      throw new GroupError('Nothing to update', 400, 'INVALID_REQUEST');
+    }
+
+    await this.requireAdmin(chatId);
+    await this.call(async (sock) => {
+      if (subject !== undefined) await sock.groupUpdateSubject(chatId, subject.trim());
+      // An empty description clears it
+      if (description !== undefined) await sock.groupUpdateDescription(chatId, description || undefined);
+      if (announce !== undefined) await sock.groupSettingUpdate(chatId, announce ? 'announcement' : 'not_announcement');
+      if (locked !== undefined) await sock.groupSettingUpdate(chatId, locked ? 'locked' : 'unlocked');
+    });
+    return this.info(chatId);
+  }
+
+  async create(subject, participants = []) {
+    if (typeof subject !== 'string' || !subject.trim() || subject.length > MAX_SUBJECT_LENGTH) {
+      throw new GroupError(`subject must be 1-${MAX_SUBJECT_LENGTH} characters`, 400, 'INVALID_REQUEST');
+    }
+    if (!Array.isArray(participants)) {
+      throw new GroupError('participants must be an array', 400, 'INVALID_REQUEST');
+    }
+    const metadata = await this.call(sock => sock.groupCreate(subject.trim(), participants));
+    return this.info(metadata.id);
+  }
+
+  async inviteLink(chatId) {
+    await this.requireAdmin(chatId);
+    const code = await this.call(sock => sock.groupInviteCode(chatId));
+    return { code, link: INVITE_URL + code };
+  }
+
+  // Invalidates the current link and returns the new one
+  async revokeInvite(chatId) {
+    await this.requireAdmin(chatId);
+    const code = await this.call(sock => sock.groupRevokeInvite(chatId));
+    return { code, link: INVITE_URL + code };
+  }
+}
+
+module.exports = { Groups, GroupError };
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// ============ JSON FILE ============
+// Small durable JSON document: loaded once, mutated in memory,
+// written back atomically (tmp file + rename) on a short debounce.
+
+const SAVE_DELAY_MS = 250;
+
+class JsonFile {
+  /**
+   * @param {string} file
+   * @param {object|function} defaults - used when the file doesn't exist
+   * @param {object} [opts]
+   * @param {number} [opts.delay] - debounce for save(), raise it for big documents
+   */
+  constructor(file, defaults = {}, { delay = SAVE_DELAY_MS } = {}) {
+    this.file = file;
+    this.delay = delay;
+    this.timer = null;
+    this.data = load(file, defaults);
+  }
+
+  // Schedule a write; repeated calls within the delay collapse into one
+  save() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.delay);
+    this.timer.unref?.();
+  }
+
+  // Write immediately
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    try {
+      writeAtomic(this.file, JSON.stringify(this.data));
+    } catch (err) {
+      logger.error({ file: this.file, err }, 'Failed to write file');
+    }
+  }
+
+  // Remove the file from disk (pending writes are dropped)
+  remove() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    fs.rmSync(this.file, { force: true });
+  }
+}
+
+function load(file, defaults) {
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (err) {
+    logger.error({ file, err }, 'Failed to read file, starting empty');
+  }
+  return typeof defaults === 'function' ? defaults() : structuredClone(defaults);
+}
+
+function writeAtomic(file, contents) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { JsonFile, writeAtomic };
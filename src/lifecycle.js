@@ -0,0 +1,86 @@
+const { sendError } = require('./errors');
+const { logger } = require('./logger');
+
+// ============ LIFECYCLE ============
+// Orderly exit on SIGTERM (sent by Railway on every redeploy) and SIGINT.
+// Shutdown steps run one after another in the order they were added; a
+// step that fails is logged and the next one still runs. If the steps
+// haven't finished within the timeout the process exits anyway, and a
+// second signal exits at once.
+
+const log = logger.child({ module: 'lifecycle' });
+
+class Lifecycle {
+  /**
+   * @param {object} opts
+   * @param {number} opts.timeoutMs - hard limit for the whole shutdown
+   * @param {(code: number) => void} [opts.exit]
+   */
+  constructor({ timeoutMs, exit = (code) => process.exit(code) }) {
+    this.timeoutMs = timeoutMs;
+    this.exit = exit;
+    this.steps = [];
+    this.shuttingDown = false;
+  }
+
+  /**
+   * @param {string} name - for the logs
+   * @param {() => Promise<void>|void} fn
+   */
+  onShutdown(name, fn) {
+    this.steps.push({ name, fn });
+    return this;
+  }
+
+  listen(signals = ['SIGTERM', 'SIGINT']) {
+    for (const signal of signals) {
+      process.on(signal, () => this.shutdown(signal));
+    }
+  }
+
+  /**
+   * While shutting down, requests that still arrive on open connections
+   * get `Connection: close`; reads are answered (so /status can report
+   * `shutting_down`), anything that would change state gets 503.
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.shuttingDown) return next();
+      res.set('Connection', 'close');
+      if (req.method === 'GET' || req.method === 'HEAD') return next();
+      sendError(req, res, 'SHUTTING_DOWN', 'Server is shutting down, retry shortly');
+    };
+  }
+
+  async shutdown(reason) {
+    if (this.shuttingDown) {
+      log.warn({ reason }, '⚠️  Second signal - exiting without finishing shutdown');
+      return this.exit(1);
+    }
+    this.shuttingDown = true;
+    const startedAt = Date.now();
+    log.info({ reason, timeoutMs: this.timeoutMs }, '🛑 Shutting down...');
+
+    let current = null;
+    const timer = setTimeout(() => {
+      log.error({ step: current, timeoutMs: this.timeoutMs }, '⏱️  Shutdown timed out - exiting');
+      this.exit(1);
+    }, this.timeoutMs);
+
+    for (const step of this.steps) {
+      current = step.name;
+      try {
+        await step.fn();
+        log.debug({ step: step.name, ms: Date.now() - startedAt }, 'Shutdown step done');
+      } catch (err) {
+        log.error({ step: step.name, err }, 'Shutdown step failed');
+      }
+    }
+
+    clearTimeout(timer);
+    log.info({ ms: Date.now() - startedAt }, '👋 Shutdown complete');
+    this.exit(0);
+  }
+}
+
+module.exports = { Lifecycle };
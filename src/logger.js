@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const pino = require('pino');
+
+// ============ LOGGING ============
+// One pino logger for the server and Baileys, configured from the
+// environment when this module is first loaded. JSON lines go to stdout
+// and into an in-memory ring buffer that GET /logs serves. With
+// LOG_REDACT on, phone numbers and message bodies are masked before a
+// line is written anywhere.
+
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_REDACT = ['1', 'true', 'yes'].includes(String(process.env.LOG_REDACT).toLowerCase());
+const LOG_BUFFER_SIZE = parseInt(process.env.LOG_BUFFER_SIZE, 10) || 1000;
+const LOG_LEVELS = Object.keys(pino.levels.values);
+
+const BODY_KEYS = new Set(['text', 'body', 'caption', 'conversation', 'content', 'lastMessage']);
+const MAX_REDACT_DEPTH = 8;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// ===== REDACTION =====
+
+// Any run of 7+ digits: phone numbers, and the JIDs and group IDs built from them
+function redactText(text) {
+  return text.replace(/\d{7,}/g, (digits) => '*'.repeat(digits.length - 3) + digits.slice(-3));
+}
+
+function redactValue(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactText(value);
+  if (!value || typeof value !== 'object' || depth > MAX_REDACT_DEPTH) return value;
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return {
+      type: value.name,
+      message: redactText(value.message || ''),
+      stack: value.stack && redactText(value.stack),
+      ...(value.code !== undefined && { code: value.code })
+    };
+  }
+  if (Array.isArray(value)) return value.map(v => redactValue(v, depth + 1, seen));
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = BODY_KEYS.has(key) && v ? '[redacted]' : redactValue(v, depth + 1, seen);
+  }
+  return out;
+}
+
+// ===== RING BUFFER =====
+
+class LogBuffer {
+  constructor(size) {
+    this.size = size;
+    this.entries = [];
+  }
+
+  // pino destination: one serialized line per call
+  write(line) {
+    try {
+      this.entries.push(JSON.parse(line));
+    } catch (e) {
+      return;
+    }
+    if (this.entries.length > this.size) this.entries.shift();
+  }
+
+  /**
+   * Most recent entries, oldest first.
+   * @param {object} opts
+   * @param {number} opts.limit
+   * @param {string} [opts.level] - minimum level
+   * @param {string} [opts.sessionId]
+   * @param {string} [opts.requestId]
+   */
+  tail({ limit, level, sessionId, requestId }) {
+    const min = level ? pino.levels.values[level] : 0;
+    const matches = this.entries.filter(e =>
+      (pino.levels.values[e.level] ?? 0) >= min
+      && (!sessionId || e.sessionId === sessionId)
+      && (!requestId || e.reqId === requestId)
+    );
+    return matches.slice(-limit);
+  }
+}
+
+// ===== LOGGER =====
+
+const logBuffer = new LogBuffer(LOG_BUFFER_SIZE);
+
+const logger = pino({
+  level: LOG_LEVEL,
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    level: (label) => ({ level: label })
+  },
+  ...(LOG_REDACT && {
+    hooks: {
+      logMethod(args, method) {
+        return method.apply(this, args.map(arg => redactValue(arg)));
+      }
+    }
+  })
+}, pino.multistream([
+  { level: 'trace', stream: process.stdout },
+  { level: 'trace', stream: logBuffer }
+]));
+
+// Never write a key that came in on the query string to the log
+function loggableUrl(url) {
+  return url.replace(/([?&]api_key=)[^&]*/, '$1***');
+}
+
+const QUIET_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+/**
+ * Express middleware: gives every request an ID (taken from X-Request-Id
+ * when the caller sends a sane one), a `req.log` child logger carrying
+ * it, and one log line when the response is done.
+ */
+function requestLogger() {
+  const httpLogger = logger.child({ module: 'http' });
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    req.log = httpLogger.child({ reqId: req.id });
+
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const status = res.statusCode;
+      // Health checks and scrapes would drown everything else
+      const level = status >= 500 ? 'error'
+        : status >= 400 ? 'warn'
+        : QUIET_PATHS.includes(req.originalUrl.split('?')[0]) ? 'debug'
+        : 'info';
+      req.log[level]({
+        method: req.method,
+        url: loggableUrl(req.originalUrl),
+        status,
+        ms: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+        key: req.apiKey?.name,
+        sessionId: req.waSession?.id
+      }, 'request');
+    });
+    next();
+  };
+}
+
+module.exports = { logger, logBuffer, requestLogger, loggableUrl, LOG_LEVEL, LOG_LEVELS, LOG_REDACT };
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { downloadContentFromMessage } = require('@whiskeysockets/baileys');
+const { JsonFile } = require('./jsonFile');
+
+// ============ MEDIA CACHE ============
+// Attachments are only downloaded (and decrypted) when first asked for.
+// For that we remember each media message's download keys in
+// `refs.json`; decrypted files go to `cache/` and are evicted least
+// recently used first once the cache is over `maxBytes`. Files that came
+// with an imported chat export have nowhere to be downloaded from again,
+// so they are kept in `imported/` and never evicted.
+
+const MAX_REFS = 50000;
+
+class MediaError extends Error {
+  constructor(message, statusCode, code) {
+    super(message);
+    this.name = 'MediaError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+class MediaCache {
+  constructor(dir, { maxBytes }) {
+    this.cacheDir = path.join(dir, 'cache');
+    this.importedDir = path.join(dir, 'imported');
+    this.maxBytes = maxBytes;
+    this.refs = new JsonFile(path.join(dir, 'refs.json'), { refs: {} });
+    this.downloads = new Map();   // messageId -> pending download promise
+    this.entries = new Map();     // messageId -> { size, lastAccess }
+
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    for (const name of fs.readdirSync(this.cacheDir)) {
+      const file = path.join(this.cacheDir, name);
+      // Leftover from a download that was cut off
+      if (name.endsWith('.part')) {
+        fs.rmSync(file, { force: true });
+        continue;
+      }
+      const stat = fs.statSync(file);
+      this.entries.set(decodeURIComponent(name), { size: stat.size, lastAccess: stat.mtimeMs });
+    }
+    // The limit may have been lowered since the last run
+    this.evict();
+  }
+
+  /**
+   * Remember how to download a media message. `media` is the result of
+   * normalize.mediaContent().
+   */
+  remember(message, media) {
+    const { inner, type } = media;
+    if (!inner?.mediaKey || !(inner.directPath || inner.url)) return;
+
+    const refs = this.refs.data.refs;
+    refs[message.id] = {
+      chatId: message.chatId,
+      type,
+      mediaKey: Buffer.from(inner.mediaKey).toString('base64'),
+      directPath: inner.directPath || null,
+      url: inner.url || null,
+      mimetype: inner.mimetype || 'application/octet-stream',
+      fileName: inner.fileName || null
+    };
+
+    // Objects keep insertion order, so the first keys are the oldest.
+    // Imported files aren't counted - their refs are all we have.
+    const ids = Object.keys(refs).filter(id => !refs[id].local);
+    for (const id of ids.slice(0, Math.max(ids.length - MAX_REFS, 0))) delete refs[id];
+    this.refs.save();
+  }
+
+  /**
+   * Keep a file that came with an imported chat, e.g. from an export zip.
+   * @param {object} message - stored message
+   * @param {Buffer} data
+   * @param {{ type: string, mimetype: string, fileName: string }} media
+   */
+  addLocal(message, data, { type, mimetype, fileName }) {
+    fs.mkdirSync(this.importedDir, { recursive: true });
+    fs.writeFileSync(path.join(this.importedDir, encodeURIComponent(message.id)), data);
+    this.refs.data.refs[message.id] = { chatId: message.chatId, type, local: true, mimetype, fileName };
+    this.refs.save();
+  }
+
+  has(messageId) {
+    return messageId in this.refs.data.refs;
+  }
+
+  filePath(messageId) {
+    return path.join(this.cacheDir, encodeURIComponent(messageId));
+  }
+
+  /**
+   * Path and metadata of the decrypted file, downloading it first if it
+   * isn't cached. Concurrent calls for the same message share a download.
+   */
+  async get(messageId) {
+    const ref = this.refs.data.refs[messageId];
+    if (!ref) throw new MediaError('No media for this message', 404, 'MEDIA_NOT_FOUND');
+    if (ref.local) return this.getLocal(messageId, ref);
+
+    if (!this.entries.has(messageId)) {
+      if (!this.downloads.has(messageId)) {
+        const download = this.download(messageId, ref)
+          .finally(() => this.downloads.delete(messageId));
+        this.downloads.set(messageId, download);
+      }
+      await this.downloads.get(messageId);
+    }
+
+    this.touch(messageId);
+    return {
+      path: this.filePath(messageId),
+      size: this.entries.get(messageId).size,
+      mimetype: ref.mimetype,
+      fileName: ref.fileName,
+      type: ref.type
+    };
+  }
+
+  getLocal(messageId, ref) {
+    const file = path.join(this.importedDir, encodeURIComponent(messageId));
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (e) {
+      throw new MediaError('Imported media file is missing', 410, 'MEDIA_GONE');
+    }
+    return { path: file, size: stat.size, mimetype: ref.mimetype, fileName: ref.fileName, type: ref.type };
+  }
+
+  async download(messageId, ref) {
+    const file = this.filePath(messageId);
+    const tmp = `${file}.part`;
+
+    try {
+      const stream = await downloadContentFromMessage({
+        mediaKey: Buffer.from(ref.mediaKey, 'base64'),
+        directPath: ref.directPath,
+        url: ref.url
+      }, ref.type);
+      await pipeline(stream, fs.createWriteStream(tmp));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      fs.rmSync(tmp, { force: true });
+      const status = err?.output?.statusCode || err?.response?.status;
+      if (status === 404 || status === 410) {
+        throw new MediaError('Media is no longer available on WhatsApp servers', 410, 'MEDIA_GONE');
+      }
+      throw err;
+    }
+
+    this.entries.set(messageId, { size: fs.statSync(file).size, lastAccess: Date.now() });
+    this.evict(messageId);
+  }
+
+  touch(messageId) {
+    const entry = this.entries.get(messageId);
+    const now = Date.now();
+    entry.lastAccess = now;
+    // mtime doubles as last access so the LRU order survives restarts
+    try {
+      fs.utimesSync(this.filePath(messageId), new Date(now), new Date(now));
+    } catch (e) {}
+  }
+
+  // Drop least recently used files until we're under the limit, never
+  // the one that is about to be served
+  evict(keepId) {
+    let total = 0;
+    for (const entry of this.entries.values()) total += entry.size;
+    if (total <= this.maxBytes) return;
+
+    const byAge = [...this.entries].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [id, entry] of byAge) {
+      if (total <= this.maxBytes) break;
+      if (id === keepId) continue;
+      fs.rmSync(this.filePath(id), { force: true });
+      this.entries.delete(id);
+      total -= entry.size;
+    }
+  }
+
+  stats() {
+    let bytes = 0;
+    for (const entry of this.entries.values()) bytes += entry.size;
+    return { files: this.entries.size, bytes, maxBytes: this.maxBytes };
+  }
+
+  flush() {
+    this.refs.flush();
+  }
+}
+
+module.exports = { MediaCache, MediaError };
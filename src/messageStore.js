@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { JsonFile } = require('./jsonFile');
+
+// ============ MESSAGE STORE ============
+// One JSON file per chat under `dir`, messages kept in ascending
+// timestamp order. Everything is loaded at startup so lookups by
+// message ID don't need to know the chat.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+class MessageStore {
+  /**
+   * @param {string} dir
+   * @param {object} [opts]
+   * @param {number} [opts.retention] - messages kept per chat
+   * @param {(ids: string[]) => void} [opts.onTrim] - told which messages retention dropped
+   */
+  constructor(dir, { retention = 10000, onTrim = () => {} } = {}) {
+    this.dir = dir;
+    this.retention = retention;
+    this.onTrim = onTrim;
+    this.chats = new Map();   // chatId -> JsonFile({ chatId, messages })
+    this.index = new Map();   // messageId -> chatId
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const name of fs.readdirSync(this.dir)) {
+      if (!name.endsWith('.json')) continue;
+      const file = new JsonFile(path.join(this.dir, name), { chatId: null, messages: [] });
+      if (!file.data.chatId) continue;
+      this.chats.set(file.data.chatId, file);
+      for (const m of file.data.messages) this.index.set(m.id, file.data.chatId);
+    }
+  }
+
+  chatFile(chatId) {
+    let file = this.chats.get(chatId);
+    if (!file) {
+      const name = `${encodeURIComponent(chatId)}.json`;
+      file = new JsonFile(path.join(this.dir, name), { chatId, messages: [] });
+      this.chats.set(chatId, file);
+    }
+    return file;
+  }
+
+  // Insert a normalized message, or merge into the stored copy
+  upsert(message) {
+    const file = this.chatFile(message.chatId);
+    const messages = file.data.messages;
+    const existing = messages.find(m => m.id === message.id);
+
+    if (existing) {
+      Object.assign(existing, message, {
+        edited: existing.edited || message.edited,
+        deleted: existing.deleted || message.deleted
+      });
+    } else {
+      // Usually newest, so search from the end
+      let i = messages.length;
+      while (i > 0 && messages[i - 1].timestamp > message.timestamp) i--;
+      messages.splice(i, 0, message);
+      this.index.set(message.id, message.chatId);
+      this.trim(file);
+    }
+
+    file.save();
+    return existing || message;
+  }
+
+  // Patch a stored message; returns the updated message or null
+  update(chatId, id, patch) {
+    const message = this.get(chatId, id);
+    if (!message) return null;
+    Object.assign(message, patch);
+    this.chats.get(chatId).save();
+    return message;
+  }
+
+  // Keep a tombstone so clients can render "message deleted"
+  markDeleted(chatId, id) {
+    return this.update(chatId, id, { deleted: true, text: null, quoted: null, media: null });
+  }
+
+  // Returns the IDs of the removed messages
+  clearChat(chatId) {
+    const file = this.chats.get(chatId);
+    if (!file) return [];
+    const ids = file.data.messages.map(m => m.id);
+    for (const id of ids) this.index.delete(id);
+    file.remove();
+    this.chats.delete(chatId);
+    return ids;
+  }
+
+  get(chatId, id) {
+    const file = this.chats.get(chatId);
+    return file ? file.data.messages.find(m => m.id === id) || null : null;
+  }
+
+  // Look up a message by ID alone
+  find(id) {
+    const chatId = this.index.get(id);
+    return chatId ? this.get(chatId, id) : null;
+  }
+
+  /**
+   * Newest-first page of a chat's messages. `cursor` is the opaque
+   * `nextCursor` from the previous page.
+   */
+  list(chatId, { limit = DEFAULT_PAGE_SIZE, cursor = null } = {}) {
+    const messages = this.chats.get(chatId)?.data.messages || [];
+    const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    let end = messages.length;
+    if (cursor) {
+      const { t, id } = decodeCursor(cursor);
+      const pos = messages.findIndex(m => m.id === id);
+      if (pos !== -1) {
+        end = pos;
+      } else {
+        // Cursor message was trimmed or deleted; fall back to its timestamp
+        end = messages.findIndex(m => m.timestamp >= t);
+        if (end === -1) end = messages.length;
+      }
+    }
+
+    const start = Math.max(end - size, 0);
+    const page = messages.slice(start, end).reverse();
+    const oldest = page[page.length - 1];
+
+    return {
+      messages: page,
+      nextCursor: start > 0 && oldest ? encodeCursor(oldest) : null
+    };
+  }
+
+  // A chat's messages with from <= timestamp < to, oldest first
+  range(chatId, from, to) {
+    const messages = this.chats.get(chatId)?.data.messages || [];
+    return messages.filter(m => m.timestamp >= from && m.timestamp < to);
+  }
+
+  chatIds() {
+    return [...this.chats.keys()];
+  }
+
+  // Every stored message, chat by chat
+  *all() {
+    for (const file of this.chats.values()) yield* file.data.messages;
+  }
+
+  trim(file) {
+    const excess = file.data.messages.length - this.retention;
+    if (excess <= 0) return;
+    const ids = file.data.messages.splice(0, excess).map(m => m.id);
+    for (const id of ids) this.index.delete(id);
+    this.onTrim(ids);
+  }
+
+  flush() {
+    for (const file of this.chats.values()) file.flush();
+  }
+}
+
+function encodeCursor(message) {
+  return Buffer.from(JSON.stringify({ t: message.timestamp, id: message.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof t === 'number' && typeof id === 'string') return { t, id };
+  } catch (e) {}
+  throw new InvalidCursorError();
+}
+
+class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid cursor');
+    this.name = 'InvalidCursorError';
+    this.statusCode = 400;
+    this.code = 'INVALID_CURSOR';
+  }
+}
+
+module.exports = { MessageStore, InvalidCursorError };
@@ -0,0 +1,161 @@
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+
+// ============ METRICS ============
+// Prometheus text exposition, without a client library. Session numbers
+// are read from the sessions at scrape time; HTTP latency is recorded by
+// a middleware into a histogram.
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const CONNECTION_STATES = [
+  'initializing',
+  'connecting',
+  'waiting_for_scan',
+  'waiting_for_pairing_code',
+  'connected',
+  'disconnected',
+  'error',
+  'shutting_down'
+];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * One metric family as text.
+ * @param {string} name
+ * @param {'counter'|'gauge'|'histogram'} type
+ * @param {string} help
+ * @param {{ labels?: object, value: number, suffix?: string }[]} samples
+ */
+function formatMetric(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const { labels = {}, value, suffix = '' } of samples) {
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+  }
+  return lines.join('\n');
+}
+
+// DisconnectReason is a numeric enum; 408 is both connectionLost and timedOut
+function disconnectReasonName(code) {
+  if (code === 'none') return 'none';
+  return DisconnectReason[code] || 'unknown';
+}
+
+class Histogram {
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.series = new Map();   // label key -> { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((le, i) => { if (value <= le) series.counts[i]++; });
+    series.sum += value;
+    series.count++;
+  }
+
+  samples() {
+    const samples = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        samples.push({ suffix: '_bucket', labels: { ...labels, le }, value: counts[i] });
+      });
+      samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count });
+      samples.push({ suffix: '_sum', labels, value: sum });
+      samples.push({ suffix: '_count', labels, value: count });
+    }
+    return samples;
+  }
+}
+
+// Route pattern for a finished request, so IDs don't become labels.
+// validate() records it while the route matches (res.locals.route).
+function routeLabel(req, res) {
+  const route = res.locals.route || (req.route && req.baseUrl + req.route.path);
+  if (!route) return 'unmatched';
+  return route
+    .replace(/^\/sessions\/[^/]+/, '/sessions/:sessionId')
+    .replace(/(.)\/$/, '$1');
+}
+
+class Metrics {
+  /**
+   * @param {object} opts
+   * @param {import('./sessionManager').SessionManager} opts.sessions
+   */
+  constructor({ sessions }) {
+    this.sessions = sessions;
+    this.httpDuration = new Histogram(HTTP_BUCKETS);
+  }
+
+  // Express middleware timing every request
+  middleware() {
+    return (req, res, next) => {
+      const start = process.hrtime.bigint();
+      res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        this.httpDuration.observe({
+          method: req.method,
+          route: routeLabel(req, res),
+          status: res.statusCode
+        }, seconds);
+      });
+      next();
+    };
+  }
+
+  render() {
+    const sessions = this.sessions.list();
+    const perSession = (fn) => sessions.map(s => ({ labels: { session: s.id }, value: fn(s) }));
+
+    const families = [
+      formatMetric('whatsapp_connected', 'gauge', 'Whether the session is connected to WhatsApp',
+        perSession(s => s.isConnected() ? 1 : 0)),
+      formatMetric('whatsapp_connection_state', 'gauge', 'Current connection state (1 for the active state)',
+        sessions.flatMap(s => CONNECTION_STATES.map(state => ({
+          labels: { session: s.id, state },
+          value: s.status === state ? 1 : 0
+        })))),
+      formatMetric('whatsapp_connection_state_since_seconds', 'gauge', 'Unix time of the last connection state change',
+        perSession(s => s.statusSince / 1000)),
+      formatMetric('whatsapp_reconnect_attempts_total', 'counter', 'Reconnects scheduled after a close or error',
+        perSession(s => s.stats.reconnectAttempts)),
+      formatMetric('whatsapp_circuit_open', 'gauge', 'Whether reconnecting is paused by the circuit breaker',
+        perSession(s => s.reconnect.circuit.state === 'closed' ? 0 : 1)),
+      formatMetric('whatsapp_disconnects_total', 'counter', 'Connection closes by DisconnectReason status code',
+        sessions.flatMap(s => Object.entries(s.stats.disconnects).map(([code, value]) => ({
+          labels: { session: s.id, code, reason: disconnectReasonName(code) },
+          value
+        })))),
+      formatMetric('whatsapp_messages_received_total', 'counter', 'New incoming messages',
+        perSession(s => s.stats.messagesReceived)),
+      formatMetric('whatsapp_messages_sent_total', 'counter', 'Outbox jobs finished, by result',
+        sessions.flatMap(s => [
+          { labels: { session: s.id, status: 'sent' }, value: s.stats.messagesSent },
+          { labels: { session: s.id, status: 'failed' }, value: s.stats.messagesFailed }
+        ])),
+      formatMetric('whatsapp_outbox_queue_depth', 'gauge', 'Outbox jobs queued or sending',
+        perSession(s => s.outbox.pending().length)),
+      formatMetric('http_request_duration_seconds', 'histogram', 'HTTP request latency by route',
+        this.httpDuration.samples()),
+      formatMetric('process_uptime_seconds', 'gauge', 'Seconds since the server started',
+        [{ value: Math.floor(process.uptime()) }]),
+      formatMetric('process_resident_memory_bytes', 'gauge', 'Resident memory size',
+        [{ value: process.memoryUsage().rss }])
+    ];
+    return families.join('\n\n') + '\n';
+  }
+}
+
+module.exports = { Metrics };
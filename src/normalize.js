@@ -0,0 +1,143 @@
+const {
+  getContentType,
+  normalizeMessageContent,
+  jidNormalizedUser,
+  toNumber
+} = require('@whiskeysockets/baileys');
+
+// ============ MESSAGE NORMALIZATION ============
+// Turns a raw Baileys WAMessage into the flat shape we store and serve.
+
+const MEDIA_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker'
+};
+
+const OTHER_TYPES = {
+  conversation: 'text',
+  extendedTextMessage: 'text',
+  locationMessage: 'location',
+  liveLocationMessage: 'location',
+  contactMessage: 'contact',
+  contactsArrayMessage: 'contact',
+  pollCreationMessage: 'poll',
+  pollCreationMessageV2: 'poll',
+  pollCreationMessageV3: 'poll'
+};
+
+// Content types that carry no user-visible message of their own
+const IGNORED_TYPES = new Set([
+  'protocolMessage',
+  'reactionMessage',
+  'senderKeyDistributionMessage',
+  'messageContextInfo',
+  'pollUpdateMessage'
+]);
+
+// "972501234567:12@s.whatsapp.net" -> "972501234567", for comparing
+// JIDs that may carry a device suffix
+function userPart(jid) {
+  return String(jid || '').split('@')[0].split(':')[0];
+}
+
+function extractText(content) {
+  if (!content) return null;
+  return content.conversation
+    || content.extendedTextMessage?.text
+    || content.imageMessage?.caption
+    || content.videoMessage?.caption
+    || content.documentMessage?.caption
+    || content.pollCreationMessage?.name
+    || content.pollCreationMessageV2?.name
+    || content.pollCreationMessageV3?.name
+    || null;
+}
+
+function extractMedia(type, inner) {
+  if (!MEDIA_TYPES[type] || !inner) return null;
+  return {
+    type: MEDIA_TYPES[type],
+    mimetype: inner.mimetype || null,
+    fileName: inner.fileName || null,
+    size: inner.fileLength ? toNumber(inner.fileLength) : null,
+    seconds: inner.seconds || null
+  };
+}
+
+// Poll options and how many may be picked (0 means any number)
+function extractPoll(contentType, inner) {
+  if (OTHER_TYPES[contentType] !== 'poll' || !inner) return null;
+  return {
+    options: (inner.options || []).map(o => o.optionName),
+    selectableCount: inner.selectableOptionsCount || 0
+  };
+}
+
+/**
+ * The secret a poll's votes are encrypted with. It sits next to the
+ * content, so look outside any ephemeral/view-once wrapper too.
+ */
+function messageSecret(msg) {
+  return normalizeMessageContent(msg?.message)?.messageContextInfo?.messageSecret
+    || msg?.message?.messageContextInfo?.messageSecret
+    || null;
+}
+
+/**
+ * The media sub-message of a WAMessage (imageMessage etc.) with our type
+ * name, or null. This is what carries the keys needed to download it.
+ */
+function mediaContent(msg) {
+  const content = normalizeMessageContent(msg?.message);
+  const contentType = content && getContentType(content);
+  if (!MEDIA_TYPES[contentType]) return null;
+  return { type: MEDIA_TYPES[contentType], inner: content[contentType] };
+}
+
+/**
+ * Normalize a WAMessage. Returns null for messages with no storable
+ * content (protocol messages, reactions, key distribution, ...).
+ * `selfJid` is used as the sender of our own messages.
+ */
+function normalizeMessage(msg, { selfJid = null } = {}) {
+  const chatId = msg?.key?.remoteJid;
+  const content = normalizeMessageContent(msg?.message);
+  if (!chatId || !msg.key.id || !content) return null;
+
+  const contentType = getContentType(content);
+  if (!contentType || IGNORED_TYPES.has(contentType)) return null;
+
+  const inner = content[contentType];
+  const contextInfo = typeof inner === 'object' ? inner?.contextInfo : null;
+  const rawSender = msg.key.fromMe
+    ? selfJid
+    : (msg.key.participant || msg.participant || chatId);
+
+  return {
+    id: msg.key.id,
+    chatId,
+    fromMe: !!msg.key.fromMe,
+    sender: rawSender ? jidNormalizedUser(rawSender) : null,
+    senderName: msg.pushName || null,
+    timestamp: toNumber(msg.messageTimestamp || 0) * 1000,
+    type: MEDIA_TYPES[contentType] || OTHER_TYPES[contentType] || 'other',
+    text: extractText(content),
+    quoted: contextInfo?.stanzaId
+      ? {
+          id: contextInfo.stanzaId,
+          sender: contextInfo.participant ? jidNormalizedUser(contextInfo.participant) : null,
+          text: extractText(normalizeMessageContent(contextInfo.quotedMessage))
+        }
+      : null,
+    mentions: contextInfo?.mentionedJid || [],
+    media: extractMedia(contentType, inner),
+    poll: extractPoll(contentType, inner),
+    edited: false,
+    deleted: false
+  };
+}
+
+module.exports = { normalizeMessage, extractText, mediaContent, messageSecret, userPart };
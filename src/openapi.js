@@ -0,0 +1,1230 @@
+const { ERROR_CODES } = require('./errors');
+const { SCOPES } = require('./apiKeys');
+const { EVENT_TYPES } = require('./webhooks');
+const { LOG_LEVELS } = require('./logger');
+const { DISCONNECT_REASONS } = require('./simulator');
+
+// ============ OPENAPI ============
+// The API as an OpenAPI 3 document, served at /openapi.json. Request
+// validation (src/validation.js) reads the same document, so a route's
+// parameters and body are defined here and only here. Each operation
+// names its scope in `x-scope`.
+
+const SESSION_PREFIX = '/sessions/{sessionId}';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const list = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const string = { type: 'string' };
+const nonEmpty = { type: 'string', minLength: 1 };
+const boolean = { type: 'boolean' };
+const integer = { type: 'integer' };
+const timestamp = {
+  type: 'string',
+  format: 'timestamp',
+  description: 'ISO 8601 date or unix milliseconds',
+  'x-error': 'must be an ISO date or unix milliseconds'
+};
+const timezone = {
+  type: 'string',
+  format: 'timezone',
+  description: 'IANA timezone, e.g. Asia/Jerusalem',
+  'x-error': 'must be an IANA timezone, e.g. Asia/Jerusalem'
+};
+const ms = { type: 'integer', description: 'unix milliseconds' };
+const object = (properties, required) => ({ type: 'object', properties, ...(required && { required }) });
+
+function query(name, schema, description) {
+  return { name, in: 'query', schema, ...(description && { description }) };
+}
+
+function path(name, description) {
+  return { name, in: 'path', required: true, schema: string, ...(description && { description }) };
+}
+
+function json(schema, description = 'OK') {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+function multipart(properties, required) {
+  return {
+    required: true,
+    content: { 'multipart/form-data': { schema: object(properties, required) } }
+  };
+}
+
+const ok = (description = 'OK') => json(object({ success: boolean, message: string }), description);
+
+// Error responses grouped by status, listing the codes each can carry
+function errorResponses(codes) {
+  const byStatus = {};
+  for (const code of codes) {
+    const status = ERROR_CODES[code][0];
+    (byStatus[status] ||= []).push(code);
+  }
+  const responses = {};
+  for (const [status, statusCodes] of Object.entries(byStatus)) {
+    responses[status] = {
+      description: statusCodes.join(', '),
+      content: {
+        'application/json': {
+          schema: {
+            allOf: [ref('Error'), object({ code: { type: 'string', enum: statusCodes } })]
+          }
+        }
+      }
+    };
+  }
+  return responses;
+}
+
+/**
+ * One operation. `errors` lists the codes it can return besides the ones
+ * every route has (validation, auth, INTERNAL_ERROR).
+ */
+function op(operationId, summary, {
+  tag, scope, parameters, body, responses, errors = [], description
+}) {
+  const codes = [...errors];
+  if (parameters?.length || body) codes.unshift('INVALID_REQUEST');
+  if (body?.content['application/json']) codes.unshift('INVALID_JSON');
+  if (scope) codes.push('UNAUTHORIZED', 'INSUFFICIENT_SCOPE');
+  codes.push('INTERNAL_ERROR');
+
+  return {
+    operationId,
+    summary,
+    ...(description && { description }),
+    tags: [tag],
+    ...(scope ? { 'x-scope': scope } : { security: [] }),
+    ...(parameters?.length && { parameters }),
+    ...(body && { requestBody: body }),
+    responses: { ...responses, ...errorResponses([...new Set(codes)]) }
+  };
+}
+
+// ===== SCHEMAS =====
+
+const schemas = {
+  Error: object({
+    error: { ...string, description: 'Readable message; may change between versions' },
+    code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable, machine-readable' },
+    details: list(object({
+      in: { type: 'string', enum: ['path', 'query', 'body'] },
+      field: string,
+      message: string
+    }), { description: 'One entry per problem, for INVALID_REQUEST' }),
+    requestId: { ...string, description: 'Also sent as the X-Request-Id header' }
+  }, ['error', 'code']),
+
+  SessionStatus: {
+    type: 'string',
+    enum: ['initializing', 'connecting', 'waiting_for_scan', 'waiting_for_pairing_code', 'connected', 'disconnected', 'error', 'shutting_down']
+  },
+  User: nullable(object({ id: string, name: nullable(string) })),
+  Pairing: nullable(object({ phoneNumber: string, code: string, requestedAt: ms, expiresAt: ms })),
+  Session: object({
+    sessionId: string,
+    name: string,
+    status: ref('SessionStatus'),
+    connected: boolean,
+    hasQR: boolean,
+    user: ref('User'),
+    pairing: ref('Pairing')
+  }),
+  Qr: object({
+    status: string,
+    qr: nullable({ ...string, description: 'QR payload to render; null when there is none' }),
+    message: string
+  }, ['status', 'qr', 'message']),
+
+  Quoted: nullable(object({ id: string, sender: nullable(string), text: nullable(string) })),
+  Media: nullable(object({
+    type: { type: 'string', enum: ['image', 'video', 'audio', 'document', 'sticker'] },
+    mimetype: nullable(string),
+    fileName: nullable(string),
+    size: nullable(integer),
+    seconds: nullable(integer)
+  })),
+  Message: object({
+    id: string,
+    chatId: string,
+    fromMe: boolean,
+    sender: nullable(string),
+    senderName: nullable(string),
+    timestamp: ms,
+    type: string,
+    text: nullable(string),
+    quoted: ref('Quoted'),
+    mentions: list(string),
+    media: ref('Media'),
+    poll: nullable(object({
+      options: list(string),
+      selectableCount: { ...integer, description: '0 means any number of options' }
+    })),
+    edited: boolean,
+    deleted: boolean,
+    reactions: { type: 'object', additionalProperties: string, description: 'reactor JID -> emoji' },
+    reactionCounts: { type: 'object', additionalProperties: integer, description: 'emoji -> count, most used first' },
+    important: boolean,
+    muted: boolean,
+    imported: boolean
+  }),
+  Chat: object({
+    id: string,
+    type: { type: 'string', enum: ['group', 'direct'] },
+    name: string,
+    unreadCount: integer,
+    archived: boolean,
+    pinned: boolean,
+    pinnedAt: nullable(ms),
+    muted: boolean,
+    muteEndTime: nullable({ ...integer, description: 'unix ms, -1 for muted until unmuted' }),
+    lastActivity: nullable(ms),
+    updatedAt: ms,
+    lastMessage: nullable(object({})),
+    participants: { ...integer, description: 'groups only' },
+    creation: { ...integer, description: 'groups only' },
+    desc: { ...string, description: 'groups only' },
+    left: { ...boolean, description: 'groups only; true once we have left the group (kept for 30 days)' }
+  }),
+  Contact: object({
+    id: string,
+    phoneNumber: nullable(string),
+    name: nullable(string),
+    notify: nullable(string),
+    verifiedName: nullable(string),
+    displayName: string
+  }),
+  Participant: object({
+    id: string,
+    admin: nullable({ type: 'string', enum: ['admin', 'superadmin'] }),
+    isAdmin: boolean,
+    isSuperAdmin: boolean
+  }),
+  Group: object({
+    id: string,
+    subject: nullable(string),
+    description: nullable(string),
+    owner: nullable(string),
+    creation: nullable(integer),
+    announce: boolean,
+    locked: boolean,
+    size: integer,
+    me: object({ isParticipant: boolean, isAdmin: boolean }),
+    participants: list(ref('Participant'))
+  }),
+  InviteLink: object({ code: string, link: string }),
+  ChatState: {
+    ...object({
+      chatId: string,
+      read: { ...integer, description: 'receipts sent, when messageIds were given' },
+      unreadCount: { ...integer, description: '-1 shows the unread dot' },
+      archived: boolean,
+      pinned: boolean,
+      pinnedAt: nullable(ms),
+      muted: boolean,
+      muteEndTime: nullable({ ...integer, description: 'unix ms, -1 for muted until unmuted' })
+    }, ['chatId']),
+    description: 'The chat ID and the fields the change touched'
+  },
+  Presence: object({
+    chatId: string,
+    subscribed: boolean,
+    subscribedAt: nullable(ms),
+    presences: list(object({
+      jid: string,
+      presence: { type: 'string', enum: ['available', 'unavailable', 'composing', 'recording', 'paused'] },
+      lastSeen: nullable(ms),
+      updatedAt: ms
+    }))
+  }),
+  Job: object({
+    id: string,
+    chatId: string,
+    payload: object({}),
+    status: { type: 'string', enum: ['queued', 'sending', 'sent', 'failed'] },
+    attempts: integer,
+    error: nullable(string),
+    messageId: nullable(string),
+    createdAt: ms,
+    updatedAt: ms,
+    sentAt: nullable(ms)
+  }),
+  Queued: object({ jobId: string, status: string, connected: boolean }),
+  PollResults: object({
+    messageId: string,
+    chatId: string,
+    creator: nullable(string),
+    name: string,
+    selectableCount: { ...integer, description: '0 means any number of options' },
+    options: list(object({ name: string, votes: integer, voters: list(string) })),
+    totalVoters: integer,
+    updatedAt: ms
+  }),
+  Reactions: object({
+    messageId: string,
+    chatId: string,
+    counts: { type: 'object', additionalProperties: integer, description: 'emoji -> count, most used first' },
+    reactions: list(object({ sender: string, emoji: string }))
+  }),
+  Digest: object({ id: string, chatId: string, from: ms, to: ms, createdAt: ms }),
+  DigestSettings: object({
+    enabled: boolean,
+    chatIds: list(string),
+    time: { ...string, pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', 'x-error': 'must be HH:MM' },
+    timezone: nullable(timezone),
+    deliverTo: nullable(string)
+  }),
+  Schedule: object({
+    id: string,
+    name: nullable(string),
+    chatId: string,
+    content: object({ text: string, mentions: list(string) }),
+    runAt: nullable(ms),
+    cron: nullable(string),
+    timezone: nullable(string),
+    status: { type: 'string', enum: ['active', 'completed', 'cancelled'] },
+    nextRunAt: nullable(ms),
+    lastRunAt: nullable(ms),
+    runCount: integer,
+    createdAt: ms
+  }),
+  Rule: object({
+    id: string,
+    name: string,
+    conditions: ref('RuleConditions'),
+    actions: list({ type: 'string', enum: ['important', 'mute', 'alert'] }),
+    enabled: boolean,
+    createdAt: ms,
+    updatedAt: ms
+  }),
+  RuleConditions: {
+    type: 'object',
+    additionalProperties: false,
+    description: 'Every condition set must match; list conditions match on any entry',
+    properties: {
+      keywords: list(nonEmpty, { minItems: 1 }),
+      regex: { type: 'string', minLength: 1, maxLength: 500 },
+      senders: list(nonEmpty, { minItems: 1, description: 'phone numbers or JIDs' }),
+      chatIds: list(nonEmpty, { minItems: 1 }),
+      mentionsMe: { type: 'boolean', enum: [true] },
+      timeOfDay: object({ start: string, end: string, timezone }, ['start', 'end'])
+    }
+  },
+  Webhook: object({
+    id: string,
+    url: string,
+    events: list(string),
+    enabled: boolean,
+    createdAt: ms
+  }),
+  DeadLetter: object({
+    id: string,
+    endpointId: string,
+    url: nullable(string),
+    event: object({ id: string, type: string, timestamp: ms, data: object({}) }),
+    attempts: integer,
+    lastError: nullable(string),
+    createdAt: ms,
+    failedAt: ms
+  }),
+  ApiKey: object({
+    id: string,
+    name: string,
+    scopes: list({ type: 'string', enum: SCOPES }),
+    hint: string,
+    createdAt: ms,
+    lastUsedAt: nullable(ms),
+    requestCount: integer
+  })
+};
+
+// ===== PARAMETERS =====
+
+const chatId = path('id', 'Chat JID, e.g. 123456789-987654@g.us or 972501234567@s.whatsapp.net');
+const limit = (max) => query('limit', { type: 'integer', minimum: 1, ...(max && { maximum: max }) });
+
+const parameters = {
+  sessionId: path('sessionId', 'Omit the /sessions/{sessionId} prefix to use the default session')
+};
+
+// ===== PATHS =====
+
+const paths = {};
+
+function route(pathname, operations) {
+  paths[pathname] = { ...paths[pathname], ...operations };
+}
+
+// Session routes live under /sessions/{sessionId} and, for the default
+// session, at the root
+function sessionRoute(pathname, operations) {
+  route(SESSION_PREFIX + pathname, {
+    parameters: [{ $ref: '#/components/parameters/sessionId' }],
+    ...operations
+  });
+}
+
+// ----- Health & ops -----
+
+const health = json(object({ status: string, connected: boolean, uptime: integer }));
+
+route('/health', { get: op('getHealth', 'Liveness (kept for older deploy checks)', { tag: 'Health', responses: { 200: health } }) });
+route('/health/live', { get: op('getLiveness', 'Liveness', { tag: 'Health', responses: { 200: health } }) });
+route('/health/ready', {
+  get: op('getReadiness', 'Readiness: the default session is connected', {
+    tag: 'Health',
+    responses: {
+      200: json(object({ status: { type: 'string', enum: ['ready'] }, sessions: list(object({})) })),
+      503: json(object({ status: { type: 'string', enum: ['not_ready'] }, sessions: list(object({})) }), 'Not ready')
+    }
+  })
+});
+route('/metrics', {
+  get: op('getMetrics', 'Prometheus metrics', {
+    tag: 'Health',
+    scope: 'read:status',
+    responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: string } } } }
+  })
+});
+route('/events', {
+  get: op('streamEvents', 'Server-Sent Events (or WebSocket on the same path)', {
+    tag: 'Events',
+    scope: 'read:status',
+    description: 'Resumes from Last-Event-ID. `api_key` may be passed in the query.',
+    parameters: [
+      query('types', string, 'Comma-separated event types'),
+      query('chatId', string),
+      query('sessionId', string)
+    ],
+    responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: string } } } }
+  })
+});
+route('/logs', {
+  get: op('getLogs', 'Recent log entries, oldest first', {
+    tag: 'Health',
+    scope: 'admin',
+    parameters: [
+      limit(),
+      query('level', { type: 'string', enum: LOG_LEVELS }),
+      query('sessionId', string),
+      query('requestId', string)
+    ],
+    responses: { 200: json(object({ count: integer, entries: list(object({})) })) }
+  })
+});
+
+// ----- API keys -----
+
+route('/keys', {
+  get: op('listKeys', 'List API keys', {
+    tag: 'API keys',
+    scope: 'admin',
+    responses: { 200: json(object({ scopes: list(string), keys: list(ref('ApiKey')) })) }
+  }),
+  post: op('createKey', 'Create an API key', {
+    tag: 'API keys',
+    scope: 'admin',
+    description: 'The plaintext `key` is only returned here.',
+    body: jsonBody(object({
+      name: nonEmpty,
+      scopes: list({ type: 'string', enum: SCOPES }, { minItems: 1 })
+    }, ['name', 'scopes'])),
+    responses: { 201: json({ allOf: [ref('ApiKey'), object({ key: string })] }, 'Created') }
+  })
+});
+route('/keys/{id}', {
+  delete: op('revokeKey', 'Revoke an API key', {
+    tag: 'API keys',
+    scope: 'admin',
+    parameters: [path('id')],
+    responses: { 200: ok() },
+    errors: ['KEY_NOT_FOUND']
+  })
+});
+
+// ----- Rules -----
+
+const ruleBody = {
+  name: nonEmpty,
+  conditions: ref('RuleConditions'),
+  actions: list({ type: 'string', enum: ['important', 'mute', 'alert'] }, { minItems: 1 }),
+  enabled: boolean
+};
+
+route('/rules', {
+  get: op('listRules', 'Rules in the order they are checked', {
+    tag: 'Rules',
+    scope: 'admin',
+    responses: { 200: json(object({ rules: list(ref('Rule')) })) }
+  }),
+  post: op('createRule', 'Create a focus rule', {
+    tag: 'Rules',
+    scope: 'admin',
+    body: jsonBody(object(ruleBody, ['conditions', 'actions'])),
+    responses: { 201: json(ref('Rule'), 'Created') }
+  })
+});
+route('/rules/{id}', {
+  get: op('getRule', 'Get a rule', {
+    tag: 'Rules', scope: 'admin', parameters: [path('id')], responses: { 200: json(ref('Rule')) }, errors: ['RULE_NOT_FOUND']
+  }),
+  patch: op('updateRule', 'Change name, conditions, actions or enabled', {
+    tag: 'Rules',
+    scope: 'admin',
+    parameters: [path('id')],
+    body: jsonBody(object(ruleBody)),
+    responses: { 200: json(ref('Rule')) },
+    errors: ['RULE_NOT_FOUND']
+  }),
+  delete: op('deleteRule', 'Delete a rule', {
+    tag: 'Rules', scope: 'admin', parameters: [path('id')], responses: { 200: ok() }, errors: ['RULE_NOT_FOUND']
+  })
+});
+
+// ----- Webhooks -----
+
+const webhookEvents = list({ type: 'string', enum: ['*', ...EVENT_TYPES] }, { minItems: 1 });
+
+route('/webhooks', {
+  get: op('listWebhooks', 'List webhook endpoints', {
+    tag: 'Webhooks', scope: 'admin', responses: { 200: json(object({ webhooks: list(ref('Webhook')) })) }
+  }),
+  post: op('createWebhook', 'Register a webhook endpoint', {
+    tag: 'Webhooks',
+    scope: 'admin',
+    description: 'The signing `secret` is only returned here.',
+    body: jsonBody(object({
+      url: { type: 'string', format: 'uri', 'x-error': 'must be an http or https URL' },
+      events: webhookEvents,
+      secret: nonEmpty
+    }, ['url'])),
+    responses: { 201: json({ allOf: [ref('Webhook'), object({ secret: string })] }, 'Created') }
+  })
+});
+route('/webhooks/dead-letters', {
+  get: op('listDeadLetters', 'Deliveries that exhausted their retries', {
+    tag: 'Webhooks',
+    scope: 'admin',
+    responses: { 200: json(object({ count: integer, deadLetters: list(ref('DeadLetter')) })) }
+  })
+});
+route('/webhooks/dead-letters/{id}/replay', {
+  post: op('replayDeadLetter', 'Re-queue a dead letter', {
+    tag: 'Webhooks', scope: 'admin', parameters: [path('id')], responses: { 200: ok() }, errors: ['DEAD_LETTER_NOT_FOUND']
+  })
+});
+route('/webhooks/dead-letters/{id}', {
+  delete: op('discardDeadLetter', 'Drop a dead letter', {
+    tag: 'Webhooks', scope: 'admin', parameters: [path('id')], responses: { 200: ok() }, errors: ['DEAD_LETTER_NOT_FOUND']
+  })
+});
+route('/webhooks/{id}', {
+  get: op('getWebhook', 'Get a webhook endpoint', {
+    tag: 'Webhooks', scope: 'admin', parameters: [path('id')], responses: { 200: json(ref('Webhook')) }, errors: ['WEBHOOK_NOT_FOUND']
+  }),
+  patch: op('updateWebhook', 'Change url, events or enabled', {
+    tag: 'Webhooks',
+    scope: 'admin',
+    parameters: [path('id')],
+    body: jsonBody(object({
+      url: { type: 'string', format: 'uri', 'x-error': 'must be an http or https URL' },
+      events: webhookEvents,
+      enabled: boolean
+    })),
+    responses: { 200: json(ref('Webhook')) },
+    errors: ['WEBHOOK_NOT_FOUND']
+  }),
+  delete: op('deleteWebhook', 'Delete a webhook endpoint', {
+    tag: 'Webhooks', scope: 'admin', parameters: [path('id')], responses: { 200: ok() }, errors: ['WEBHOOK_NOT_FOUND']
+  })
+});
+
+// ----- Sessions -----
+
+route('/sessions', {
+  get: op('listSessions', 'List sessions', {
+    tag: 'Sessions', scope: 'read:status', responses: { 200: json(object({ count: integer, sessions: list(ref('Session')) })) }
+  }),
+  post: op('createSession', 'Create a session and start connecting', {
+    tag: 'Sessions',
+    scope: 'admin',
+    body: jsonBody(object({
+      id: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,32}$', 'x-error': 'must be 1-32 letters, digits, "-" or "_"' },
+      name: nonEmpty
+    }, ['id'])),
+    responses: { 201: json(ref('Session'), 'Created') },
+    errors: ['SESSION_EXISTS']
+  })
+});
+route('/sessions/{sessionId}', {
+  parameters: [{ $ref: '#/components/parameters/sessionId' }],
+  get: op('getSession', 'Get a session', {
+    tag: 'Sessions', scope: 'read:status', responses: { 200: json(ref('Session')) }, errors: ['SESSION_NOT_FOUND']
+  }),
+  patch: op('renameSession', 'Rename a session', {
+    tag: 'Sessions',
+    scope: 'admin',
+    body: jsonBody(object({ name: nonEmpty }, ['name'])),
+    responses: { 200: json(ref('Session')) },
+    errors: ['SESSION_NOT_FOUND']
+  }),
+  delete: op('deleteSession', 'Log out and delete a session with its data', {
+    tag: 'Sessions', scope: 'admin', responses: { 200: ok() }, errors: ['SESSION_NOT_FOUND', 'CONFLICT']
+  })
+});
+
+// ----- Connection -----
+
+sessionRoute('/status', {
+  get: op('getStatus', 'Connection status', {
+    tag: 'Connection',
+    scope: 'read:status',
+    responses: {
+      200: json(object({
+        sessionId: string,
+        status: ref('SessionStatus'),
+        since: ms,
+        connected: boolean,
+        hasQR: boolean,
+        user: ref('User'),
+        pairing: ref('Pairing'),
+        reconnect: object({})
+      }))
+    },
+    errors: ['SESSION_NOT_FOUND']
+  })
+});
+sessionRoute('/status/history', {
+  get: op('getStatusHistory', 'Recent connection state changes, newest first', {
+    tag: 'Connection',
+    scope: 'read:status',
+    parameters: [limit()],
+    responses: {
+      200: json(object({ sessionId: string, status: ref('SessionStatus'), count: integer, history: list(object({})) }))
+    },
+    errors: ['SESSION_NOT_FOUND']
+  })
+});
+sessionRoute('/qr', {
+  get: op('getQr', 'QR code to link the session', {
+    tag: 'Connection',
+    scope: 'read:status',
+    description: '`status` is `waiting_for_scan` with a `qr`, `connected`, or the current connection status while no QR is available yet (202).',
+    responses: { 200: json(ref('Qr')), 202: json(ref('Qr'), 'No QR yet, poll again') },
+    errors: ['SESSION_NOT_FOUND']
+  })
+});
+sessionRoute('/pair', {
+  post: op('requestPairingCode', 'Request a pairing code for phone-number login', {
+    tag: 'Connection',
+    scope: 'admin',
+    body: jsonBody(object({
+      phoneNumber: { type: 'string', description: 'Full international number, e.g. 972501234567' }
+    }, ['phoneNumber'])),
+    responses: { 200: json({ allOf: [ref('Pairing'), object({ status: string })] }) },
+    errors: ['SESSION_NOT_FOUND', 'ALREADY_CONNECTED', 'ALREADY_LINKED', 'NOT_READY']
+  }),
+  delete: op('cancelPairing', 'Cancel a pending pairing code', {
+    tag: 'Connection',
+    scope: 'admin',
+    responses: { 200: json(object({ success: boolean, message: string, status: ref('SessionStatus') })) },
+    errors: ['SESSION_NOT_FOUND']
+  })
+});
+sessionRoute('/disconnect', {
+  post: op('disconnect', 'Log out', {
+    tag: 'Connection', scope: 'admin', responses: { 200: ok() }, errors: ['SESSION_NOT_FOUND']
+  })
+});
+sessionRoute('/restart', {
+  post: op('restart', 'Force a reconnect', {
+    tag: 'Connection', scope: 'admin', responses: { 200: ok() }, errors: ['SESSION_NOT_FOUND']
+  })
+});
+sessionRoute('/auth/export', {
+  post: op('exportAuth', 'Download the credentials, encrypted with a passphrase', {
+    tag: 'Connection',
+    scope: 'admin',
+    body: jsonBody(object({ passphrase: string }, ['passphrase'])),
+    responses: { 200: json(object({}), 'Backup file') },
+    errors: ['SESSION_NOT_FOUND', 'SESSION_NOT_LINKED', 'AUTH_STATE_UNREADABLE']
+  })
+});
+sessionRoute('/auth/import', {
+  post: op('importAuth', 'Restore credentials from a backup and reconnect', {
+    tag: 'Connection',
+    scope: 'admin',
+    body: multipart({ file: { type: 'string', format: 'binary' }, passphrase: string }, ['file', 'passphrase']),
+    responses: { 200: json(object({ success: boolean, keyCount: integer, message: string })) },
+    errors: ['SESSION_NOT_FOUND', 'BACKUP_DECRYPT_FAILED', 'PAYLOAD_TOO_LARGE']
+  })
+});
+
+// ----- Chats & contacts -----
+
+sessionRoute('/chats', {
+  get: op('listChats', 'Chats, groups enriched from the metadata cache', {
+    tag: 'Chats',
+    scope: 'read:chats',
+    description: 'With `since`, only chats changed since then plus `removed` IDs. Supports If-None-Match.',
+    parameters: [
+      query('type', { type: 'string', enum: ['all', 'group', 'direct'], default: 'group' }),
+      query('since', timestamp),
+      query('refresh', boolean, 'Re-fetch groups from WhatsApp first')
+    ],
+    responses: {
+      200: json(object({
+        count: integer,
+        connected: boolean,
+        groupsFetchedAt: nullable(ms),
+        serverTime: ms,
+        chats: list(ref('Chat')),
+        removed: list(string)
+      })),
+      304: { description: 'Not modified' }
+    },
+    errors: ['SESSION_NOT_FOUND', 'NOT_CONNECTED', 'UPSTREAM_ERROR']
+  })
+});
+sessionRoute('/contacts', {
+  get: op('listContacts', 'Address book and known push names', {
+    tag: 'Chats',
+    scope: 'read:chats',
+    parameters: [query('q', string, 'Filter on name or number')],
+    responses: { 200: json(object({ count: integer, contacts: list(ref('Contact')) })) },
+    errors: ['SESSION_NOT_FOUND']
+  })
+});
+
+// ----- Groups -----
+
+const groupErrors = ['SESSION_NOT_FOUND', 'NOT_A_GROUP', 'GROUP_NOT_FOUND', 'NOT_CONNECTED', 'UPSTREAM_ERROR'];
+const participantList = list(nonEmpty, { minItems: 1, description: 'Phone numbers or JIDs' });
+
+sessionRoute('/chats/{id}', {
+  get: op('getGroup', 'Group details with participants', {
+    tag: 'Groups',
+    scope: 'read:chats',
+    parameters: [chatId],
+    responses: { 200: json(ref('Group')) },
+    errors: [...groupErrors, 'NOT_GROUP_PARTICIPANT']
+  }),
+  patch: op('updateGroup', 'Change subject, description, announce or locked', {
+    tag: 'Groups',
+    scope: 'admin',
+    parameters: [chatId],
+    body: jsonBody(object({
+      subject: { type: 'string', minLength: 1, maxLength: 100 },
+      description: { type: 'string', maxLength: 2048 },
+      announce: boolean,
+      locked: boolean
+    })),
+    responses: { 200: json(ref('Group')) },
+    errors: [...groupErrors, 'NOT_GROUP_PARTICIPANT', 'NOT_GROUP_ADMIN']
+  })
+});
+sessionRoute('/chats/{id}/participants', {
+  post: op('updateParticipants', 'Add, remove, promote or demote participants', {
+    tag: 'Groups',
+    scope: 'admin',
+    parameters: [chatId],
+    body: jsonBody(object({
+      action: { type: 'string', enum: ['add', 'remove', 'promote', 'demote'] },
+      participants: participantList
+    }, ['action', 'participants'])),
+    responses: { 200: json(object({ action: string, results: list(object({ jid: string, status: integer, success: boolean })) })) },
+    errors: [...groupErrors, 'NOT_GROUP_PARTICIPANT', 'NOT_GROUP_ADMIN']
+  })
+});
+sessionRoute('/chats/{id}/invite', {
+  get: op('getInviteLink', 'Current invite link', {
+    tag: 'Groups',
+    scope: 'admin',
+    parameters: [chatId],
+    responses: { 200: json(ref('InviteLink')) },
+    errors: [...groupErrors, 'NOT_GROUP_ADMIN']
+  }),
+  delete: op('revokeInviteLink', 'Revoke the invite link; returns the replacement', {
+    tag: 'Groups',
+    scope: 'admin',
+    parameters: [chatId],
+    responses: { 200: json(ref('InviteLink')) },
+    errors: [...groupErrors, 'NOT_GROUP_ADMIN']
+  })
+});
+sessionRoute('/groups', {
+  post: op('createGroup', 'Create a group', {
+    tag: 'Groups',
+    scope: 'admin',
+    body: jsonBody(object({
+      subject: { type: 'string', minLength: 1, maxLength: 100 },
+      participants: list(nonEmpty, { description: 'Phone numbers or JIDs' })
+    }, ['subject'])),
+    responses: { 201: json(ref('Group'), 'Created') },
+    errors: ['SESSION_NOT_FOUND', 'NOT_CONNECTED', 'UPSTREAM_ERROR']
+  })
+});
+
+// ----- Chat state & presence -----
+
+const chatActionErrors = ['SESSION_NOT_FOUND', 'INVALID_CHAT_ID', 'NOT_CONNECTED', 'UPSTREAM_ERROR'];
+
+function chatAction(operationId, summary, extra = {}) {
+  return op(operationId, summary, {
+    tag: 'Chat state',
+    scope: 'send',
+    parameters: [chatId],
+    responses: { 200: json(ref('ChatState')) },
+    errors: chatActionErrors,
+    ...extra
+  });
+}
+
+sessionRoute('/chats/{id}/read', {
+  post: chatAction('markRead', 'Mark the chat read, or send receipts for messageIds', {
+    body: { content: { 'application/json': { schema: object({ messageIds: list(nonEmpty, { minItems: 1, maxItems: 100 }) }) } } },
+    errors: [...chatActionErrors, 'MESSAGE_NOT_FOUND']
+  })
+});
+sessionRoute('/chats/{id}/unread', { post: chatAction('markUnread', 'Mark the chat unread') });
+sessionRoute('/chats/{id}/archive', {
+  post: chatAction('archiveChat', 'Archive'),
+  delete: chatAction('unarchiveChat', 'Unarchive')
+});
+sessionRoute('/chats/{id}/pin', {
+  post: chatAction('pinChat', 'Pin to the top of the chat list'),
+  delete: chatAction('unpinChat', 'Unpin')
+});
+sessionRoute('/chats/{id}/mute', {
+  post: chatAction('muteChat', 'Mute for a number of seconds, or forever', {
+    body: jsonBody(object({
+      duration: {
+        oneOf: [{ type: 'integer', minimum: 1, maximum: 366 * 24 * 60 * 60 }, { type: 'string', enum: ['forever'] }],
+        'x-error': 'must be a number of seconds up to 31622400, or "forever"'
+      }
+    }, ['duration']))
+  }),
+  delete: chatAction('unmuteChat', 'Unmute')
+});
+sessionRoute('/chats/{id}/presence', {
+  post: op('sendPresence', 'Show typing, recording or paused in the chat', {
+    tag: 'Chat state',
+    scope: 'send',
+    parameters: [chatId],
+    body: jsonBody(object({ state: { type: 'string', enum: ['typing', 'recording', 'paused'] } }, ['state'])),
+    responses: { 200: json(object({ chatId: string, state: string })) },
+    errors: chatActionErrors
+  }),
+  get: op('getPresence', 'Last presence received per participant', {
+    tag: 'Chat state',
+    scope: 'read:chats',
+    parameters: [chatId],
+    responses: { 200: json(ref('Presence')) },
+    errors: ['SESSION_NOT_FOUND', 'INVALID_CHAT_ID']
+  })
+});
+sessionRoute('/chats/{id}/presence/subscribe', {
+  post: op('subscribePresence', "Start receiving a contact's or group's presence", {
+    tag: 'Chat state',
+    scope: 'read:chats',
+    parameters: [chatId],
+    responses: { 200: json(ref('Presence')) },
+    errors: chatActionErrors
+  })
+});
+
+// ----- Messages -----
+
+sessionRoute('/chats/{id}/messages', {
+  get: op('listMessages', 'Stored messages, newest first', {
+    tag: 'Messages',
+    scope: 'read:chats',
+    parameters: [chatId, limit(), query('cursor', string, 'nextCursor from the previous page')],
+    responses: {
+      200: json(object({ chatId: string, count: integer, messages: list(ref('Message')), nextCursor: nullable(string) }))
+    },
+    errors: ['SESSION_NOT_FOUND', 'INVALID_CURSOR']
+  }),
+  post: op('sendMessage', 'Queue a text message', {
+    tag: 'Messages',
+    scope: 'send',
+    parameters: [chatId],
+    body: jsonBody(object({
+      text: nonEmpty,
+      quotedId: { ...string, description: 'Reply to this stored message' },
+      mentions: list(nonEmpty, { description: 'Phone numbers or JIDs' })
+    }, ['text'])),
+    responses: { 202: json(ref('Queued'), 'Queued') },
+    errors: ['SESSION_NOT_FOUND', 'INVALID_CHAT_ID', 'MESSAGE_NOT_FOUND']
+  })
+});
+sessionRoute('/chats/{id}/media', {
+  post: op('sendMedia', 'Queue an image, video, audio or document', {
+    tag: 'Messages',
+    scope: 'send',
+    parameters: [chatId],
+    body: multipart({
+      file: { type: 'string', format: 'binary' },
+      caption: string,
+      type: { type: 'string', enum: ['image', 'video', 'audio', 'document'], description: 'Defaults from the file type' },
+      quotedId: string
+    }, ['file']),
+    responses: { 202: json(ref('Queued'), 'Queued') },
+    errors: ['SESSION_NOT_FOUND', 'INVALID_CHAT_ID', 'MESSAGE_NOT_FOUND', 'PAYLOAD_TOO_LARGE']
+  })
+});
+sessionRoute('/messages/{id}/media', {
+  get: op('getMedia', 'Download an attachment (supports Range)', {
+    tag: 'Messages',
+    scope: 'read:chats',
+    parameters: [path('id', 'Message ID'), query('download', boolean, 'Send as an attachment')],
+    responses: { 200: { description: 'The file', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } } },
+    errors: ['SESSION_NOT_FOUND', 'MESSAGE_NOT_FOUND', 'MEDIA_NOT_FOUND', 'MEDIA_GONE', 'UPSTREAM_ERROR']
+  })
+});
+sessionRoute('/chats/{id}/polls', {
+  post: op('sendPoll', 'Queue a poll in a group', {
+    tag: 'Messages',
+    scope: 'send',
+    parameters: [chatId],
+    body: jsonBody(object({
+      name: nonEmpty,
+      options: list(nonEmpty, { minItems: 2, maxItems: 12, description: 'Unique' }),
+      allowMultiple: { ...boolean, description: 'Let voters pick more than one option (default false)' }
+    }, ['name', 'options'])),
+    responses: { 202: json(ref('Queued'), 'Queued') },
+    errors: ['SESSION_NOT_FOUND', 'NOT_A_GROUP']
+  })
+});
+sessionRoute('/messages/{id}/poll', {
+  get: op('getPollResults', 'Tallies of a poll', {
+    tag: 'Messages',
+    scope: 'read:chats',
+    parameters: [path('id', 'Poll message ID')],
+    responses: { 200: json(ref('PollResults')) },
+    errors: ['SESSION_NOT_FOUND', 'POLL_NOT_FOUND']
+  })
+});
+sessionRoute('/messages/{id}/reactions', {
+  get: op('getReactions', 'Reactions on a stored message', {
+    tag: 'Messages',
+    scope: 'read:chats',
+    parameters: [path('id', 'Message ID')],
+    responses: { 200: json(ref('Reactions')) },
+    errors: ['SESSION_NOT_FOUND', 'MESSAGE_NOT_FOUND']
+  }),
+  post: op('sendReaction', 'Queue a reaction to a stored message', {
+    tag: 'Messages',
+    scope: 'send',
+    parameters: [path('id', 'Message ID')],
+    body: jsonBody(object({
+      emoji: { ...string, maxLength: 16, description: 'An empty string takes our reaction back' }
+    }, ['emoji'])),
+    responses: { 202: json(ref('Queued'), 'Queued') },
+    errors: ['SESSION_NOT_FOUND', 'MESSAGE_NOT_FOUND']
+  })
+});
+sessionRoute('/outbox/{jobId}', {
+  get: op('getJob', 'Outbound message job status', {
+    tag: 'Messages',
+    scope: 'send',
+    parameters: [path('jobId')],
+    responses: { 200: json(ref('Job')) },
+    errors: ['SESSION_NOT_FOUND', 'JOB_NOT_FOUND']
+  })
+});
+sessionRoute('/chats/{id}/export', {
+  get: op('exportChat', 'Download stored messages', {
+    tag: 'Messages',
+    scope: 'read:chats',
+    description: '`txt` uses the layout of WhatsApp\'s "Export chat", with times in `timezone`.',
+    parameters: [
+      chatId,
+      query('format', { type: 'string', enum: ['json', 'csv', 'txt'], default: 'json' }),
+      query('from', timestamp),
+      query('to', timestamp),
+      query('timezone', timezone)
+    ],
+    responses: {
+      200: {
+        description: 'The export, as an attachment',
+        content: {
+          'application/json': { schema: object({ chatId: string, name: string, exportedAt: ms, messages: list(ref('Message')) }) },
+          'text/csv': { schema: string },
+          'text/plain': { schema: string }
+        }
+      }
+    },
+    errors: ['SESSION_NOT_FOUND', 'CHAT_NOT_FOUND']
+  })
+});
+sessionRoute('/chats/{id}/import', {
+  post: op('importChat', 'Load a WhatsApp "Export chat" file (.txt or .zip)', {
+    tag: 'Messages',
+    scope: 'admin',
+    parameters: [chatId],
+    body: multipart({
+      file: { type: 'string', format: 'binary' },
+      timezone,
+      dateOrder: { type: 'string', enum: ['dmy', 'mdy'], description: 'Detected when omitted' },
+      selfName: { ...string, description: 'Your name as it appears in the export' }
+    }, ['file']),
+    responses: {
+      200: json(object({ chatId: string, parsed: integer, imported: integer, duplicates: integer, media: integer }))
+    },
+    errors: ['SESSION_NOT_FOUND', 'INVALID_CHAT_ID', 'PAYLOAD_TOO_LARGE']
+  })
+});
+sessionRoute('/search', {
+  get: op('searchMessages', 'Full-text search over stored messages', {
+    tag: 'Messages',
+    scope: 'read:chats',
+    parameters: [
+      { ...query('q', nonEmpty), required: true },
+      query('chatId', string),
+      query('sender', string, 'Phone number or JID'),
+      query('from', timestamp),
+      query('to', timestamp),
+      query('hasMedia', boolean),
+      limit(100),
+      query('offset', { type: 'integer', minimum: 0 })
+    ],
+    responses: {
+      200: json(object({
+        query: string,
+        total: integer,
+        offset: integer,
+        limit: integer,
+        results: list(object({ score: { type: 'number' }, highlight: string, message: ref('Message') }))
+      }))
+    },
+    errors: ['SESSION_NOT_FOUND']
+  })
+});
+sessionRoute('/inbox', {
+  get: op('getInbox', 'Messages a rule tagged important, newest first', {
+    tag: 'Messages',
+    scope: 'read:chats',
+    parameters: [
+      query('chatId', string),
+      query('before', timestamp, 'Timestamp of the last message seen'),
+      limit(200)
+    ],
+    responses: { 200: json(object({ messages: list(ref('Message')), nextBefore: nullable(ms) })) },
+    errors: ['SESSION_NOT_FOUND']
+  })
+});
+
+// ----- Digests -----
+
+sessionRoute('/digests/settings', {
+  get: op('getDigestSettings', 'Daily digest schedule and watched groups', {
+    tag: 'Digests', scope: 'read:chats', responses: { 200: json(object({})) }, errors: ['SESSION_NOT_FOUND']
+  }),
+  put: op('updateDigestSettings', 'Change the digest settings', {
+    tag: 'Digests',
+    scope: 'admin',
+    body: jsonBody(ref('DigestSettings')),
+    responses: { 200: json(object({})) },
+    errors: ['SESSION_NOT_FOUND']
+  })
+});
+sessionRoute('/chats/{id}/digests', {
+  get: op('listDigests', 'Stored digests for a group, newest first', {
+    tag: 'Digests',
+    scope: 'read:chats',
+    parameters: [chatId, limit()],
+    responses: { 200: json(object({ chatId: string, digests: list(ref('Digest')) })) },
+    errors: ['SESSION_NOT_FOUND']
+  }),
+  post: op('generateDigest', 'Generate a digest now (default: the last 24 hours)', {
+    tag: 'Digests',
+    scope: 'admin',
+    parameters: [chatId],
+    body: { content: { 'application/json': { schema: object({
+      from: { oneOf: [timestamp, ms], 'x-error': 'must be an ISO date or unix milliseconds' },
+      to: { oneOf: [timestamp, ms], 'x-error': 'must be an ISO date or unix milliseconds' },
+      deliver: boolean,
+      deliverTo: { type: 'string', pattern: '@', 'x-error': 'must be a chat ID' }
+    }) } } },
+    responses: { 201: json(ref('Digest'), 'Created') },
+    errors: ['SESSION_NOT_FOUND']
+  })
+});
+
+// ----- Schedules -----
+
+sessionRoute('/schedules', {
+  get: op('listSchedules', 'Scheduled messages', {
+    tag: 'Schedules',
+    scope: 'send',
+    parameters: [query('status', { type: 'string', enum: ['active', 'completed', 'cancelled'] })],
+    responses: { 200: json(object({ schedules: list(ref('Schedule')) })) },
+    errors: ['SESSION_NOT_FOUND']
+  }),
+  post: op('createSchedule', 'Schedule a message once (runAt) or on a cron', {
+    tag: 'Schedules',
+    scope: 'send',
+    body: jsonBody(object({
+      chatId: { type: 'string', pattern: '@', 'x-error': 'must be a chat ID' },
+      content: object({
+        text: nonEmpty,
+        mentions: list(nonEmpty, { description: 'Phone numbers or JIDs' })
+      }, ['text']),
+      runAt: { oneOf: [timestamp, ms], 'x-error': 'must be an ISO date or unix milliseconds' },
+      cron: { ...string, description: '5 fields: minute hour day month weekday' },
+      timezone: { ...timezone, description: 'For cron; server time if omitted' },
+      name: string
+    }, ['chatId', 'content'])),
+    responses: { 201: json(ref('Schedule'), 'Created') },
+    errors: ['SESSION_NOT_FOUND']
+  })
+});
+sessionRoute('/schedules/{id}', {
+  get: op('getSchedule', 'Get a schedule', {
+    tag: 'Schedules',
+    scope: 'send',
+    parameters: [path('id')],
+    responses: { 200: json(ref('Schedule')) },
+    errors: ['SESSION_NOT_FOUND', 'SCHEDULE_NOT_FOUND']
+  }),
+  delete: op('cancelSchedule', 'Cancel; the schedule and its history are kept', {
+    tag: 'Schedules',
+    scope: 'send',
+    parameters: [path('id')],
+    responses: { 200: json(ref('Schedule')) },
+    errors: ['SESSION_NOT_FOUND', 'SCHEDULE_NOT_FOUND']
+  })
+});
+sessionRoute('/schedules/{id}/runs', {
+  get: op('listScheduleRuns', 'Run history, newest first', {
+    tag: 'Schedules',
+    scope: 'send',
+    parameters: [path('id')],
+    responses: { 200: json(object({ runs: list(object({})) })) },
+    errors: ['SESSION_NOT_FOUND', 'SCHEDULE_NOT_FOUND']
+  })
+});
+
+sessionRoute('/simulator/scan', {
+  post: op('simulateScan', 'Simulator: the phone scans the current QR', {
+    tag: 'Simulator',
+    scope: 'admin',
+    description: 'Only with `WA_MODE=simulator`. The session reconnects, now linked.',
+    responses: { 200: ok() },
+    errors: ['SESSION_NOT_FOUND', 'ALREADY_LINKED', 'NOT_CONNECTED']
+  })
+});
+sessionRoute('/simulator/close', {
+  post: op('simulateClose', 'Simulator: drop the connection with a disconnect reason', {
+    tag: 'Simulator',
+    scope: 'admin',
+    description: 'Only with `WA_MODE=simulator`. The session reacts as it would to WhatsApp closing the socket.',
+    body: jsonBody(object({
+      reason: {
+        oneOf: [{ type: 'string', enum: DISCONNECT_REASONS }, { type: 'integer', minimum: 100, maximum: 599 }],
+        description: 'DisconnectReason name, e.g. connectionLost, or status code',
+        'x-error': `must be a status code or one of: ${DISCONNECT_REASONS.join(', ')}`
+      }
+    }, ['reason'])),
+    responses: { 200: ok() },
+    errors: ['SESSION_NOT_FOUND', 'NOT_CONNECTED']
+  })
+});
+sessionRoute('/simulator/messages', {
+  post: op('simulateMessage', 'Simulator: deliver an incoming message', {
+    tag: 'Simulator',
+    scope: 'admin',
+    description: 'Only with `WA_MODE=simulator`. Arrives like any new message: stored, pushed to events, matched against rules.',
+    body: jsonBody(object({
+      chatId: { type: 'string', pattern: '@', 'x-error': 'must be a chat ID' },
+      sender: { ...string, description: 'Phone number or JID; required for groups' },
+      pushName: string,
+      text: nonEmpty
+    }, ['chatId', 'text'])),
+    responses: { 201: json(object({ id: string, chatId: string }), 'Delivered') },
+    errors: ['SESSION_NOT_FOUND', 'INVALID_CHAT_ID', 'NOT_CONNECTED']
+  })
+});
+sessionRoute('/simulator/votes', {
+  post: op('simulateVote', 'Simulator: someone votes on a poll', {
+    tag: 'Simulator',
+    scope: 'admin',
+    description: 'Only with `WA_MODE=simulator`. An empty `options` takes the vote back.',
+    body: jsonBody(object({
+      pollId: nonEmpty,
+      voter: { ...nonEmpty, description: 'Phone number or JID' },
+      options: list(nonEmpty, { description: 'Option names' })
+    }, ['pollId', 'voter', 'options'])),
+    responses: { 200: json(ref('PollResults'), 'The tallies after the vote') },
+    errors: ['SESSION_NOT_FOUND', 'POLL_NOT_FOUND', 'NOT_CONNECTED']
+  })
+});
+sessionRoute('/simulator/reactions', {
+  post: op('simulateReaction', 'Simulator: someone reacts to a message', {
+    tag: 'Simulator',
+    scope: 'admin',
+    description: 'Only with `WA_MODE=simulator`. An empty `emoji` takes the reaction back.',
+    body: jsonBody(object({
+      messageId: nonEmpty,
+      sender: { ...nonEmpty, description: 'Phone number or JID' },
+      emoji: { ...string, maxLength: 16 }
+    }, ['messageId', 'sender', 'emoji'])),
+    responses: { 200: ok() },
+    errors: ['SESSION_NOT_FOUND', 'MESSAGE_NOT_FOUND', 'NOT_CONNECTED']
+  })
+});
+
+// ===== DOCUMENT =====
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'FocusWave WhatsApp Bridge',
+    version: require('../package.json').version,
+    description: [
+      'Every route under `/sessions/{sessionId}` also exists without the prefix, acting on the default session.',
+      '',
+      'Errors are `{ error, code, details?, requestId }`; branch on `code`, not on `error`.',
+      '',
+      'Send the API key as `Authorization: Bearer <key>` or `X-API-Key`. Each operation needs the scope in `x-scope`.'
+    ].join('\n')
+  },
+  security: [{ bearer: [] }, { apiKey: [] }],
+  tags: ['Health', 'Events', 'Sessions', 'Connection', 'Chats', 'Groups', 'Chat state', 'Messages', 'Digests', 'Schedules', 'Rules', 'Webhooks', 'API keys', 'Simulator']
+    .map(name => ({ name })),
+  paths,
+  components: {
+    schemas,
+    parameters,
+    securitySchemes: {
+      bearer: { type: 'http', scheme: 'bearer' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    }
+  }
+};
+
+// Swagger UI from a CDN, pointed at /openapi.json
+const DOCS_HTML = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>FocusWave WhatsApp API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: 'openapi.json', dom_id: '#docs' });</script>
+</body>
+</html>
+`;
+
+module.exports = { spec, DOCS_HTML };
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { JsonFile } = require('./jsonFile');
+const { logger: rootLogger } = require('./logger');
+
+// ============ OUTBOX ============
+// Persistent send queue. Jobs for the same chat go out strictly in
+// order; different chats drain independently. Nothing is sent while
+// `isReady()` is false - call `kick()` once the socket is back. After
+// `close()` nothing new is sent; queued jobs wait in the file.
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 60000;
+const KEEP_FINISHED = 1000;
+
+// Boom status codes Baileys uses for a dropped or not-yet-ready socket
+const TRANSIENT_STATUS = new Set([408, 428, 440, 500, 503, 515]);
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN']);
+
+function isTransientError(err) {
+  const statusCode = err?.output?.statusCode;
+  if (statusCode) return TRANSIENT_STATUS.has(statusCode);
+  return TRANSIENT_CODES.has(err?.code);
+}
+
+class Outbox {
+  /**
+   * @param {string} file - where the queue is persisted
+   * @param {object} opts
+   * @param {(job) => Promise<{ id: string }>} opts.send - delivers one job
+   * @param {() => boolean} opts.isReady - whether the socket can send now
+   * @param {(job) => void} [opts.onSettled] - called once a job is sent or failed
+   * @param {import('pino').Logger} [opts.logger]
+   */
+  constructor(file, { send, isReady, onSettled = () => {}, maxAttempts = MAX_ATTEMPTS, logger = rootLogger }) {
+    this.logger = logger.child({ module: 'outbox' });
+    this.send = send;
+    this.isReady = isReady;
+    this.onSettled = onSettled;
+    this.maxAttempts = maxAttempts;
+    this.store = new JsonFile(file, { jobs: [] });
+    this.busy = new Set();           // chatIds currently draining
+    this.retryTimers = new Map();    // chatId -> timeout
+    this.inFlight = new Set();       // promises of attempts under way
+    this.closed = false;
+
+    // A job that was mid-send when we died may or may not have gone out;
+    // sending it again is better than losing it
+    for (const job of this.store.data.jobs) {
+      if (job.status === 'sending') job.status = 'queued';
+    }
+  }
+
+  get jobs() {
+    return this.store.data.jobs;
+  }
+
+  enqueue(chatId, payload) {
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      chatId,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      messageId: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null
+    };
+    this.jobs.push(job);
+    this.store.save();
+    this.kick();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.find(j => j.id === id) || null;
+  }
+
+  pending() {
+    return this.jobs.filter(j => j.status === 'queued' || j.status === 'sending');
+  }
+
+  // Start draining every chat that has queued work
+  kick() {
+    if (this.closed || !this.isReady()) return;
+    const chats = new Set(this.pending().map(j => j.chatId));
+    for (const chatId of chats) {
+      if (!this.busy.has(chatId) && !this.retryTimers.has(chatId)) {
+        this.drain(chatId);
+      }
+    }
+  }
+
+  async drain(chatId) {
+    this.busy.add(chatId);
+    try {
+      while (!this.closed && this.isReady()) {
+        const job = this.jobs.find(j => j.chatId === chatId && j.status === 'queued');
+        if (!job) break;
+        const attempt = this.attempt(job);
+        this.inFlight.add(attempt);
+        const retryIn = await attempt.finally(() => this.inFlight.delete(attempt));
+        if (retryIn !== null) {
+          this.scheduleRetry(chatId, retryIn);
+          break;
+        }
+      }
+    } finally {
+      this.busy.delete(chatId);
+    }
+  }
+
+  // Returns a delay in ms if the job should be retried, otherwise null
+  async attempt(job) {
+    job.status = 'sending';
+    job.attempts++;
+    job.updatedAt = Date.now();
+    this.store.save();
+
+    try {
+      const result = await this.send(job);
+      job.status = 'sent';
+      job.messageId = result?.id || null;
+      job.sentAt = Date.now();
+      job.error = null;
+      this.onSettled(job);
+      return null;
+    } catch (err) {
+      job.error = err.message;
+      if (isTransientError(err) && job.attempts < this.maxAttempts) {
+        this.logger.warn({ jobId: job.id, chatId: job.chatId, attempt: job.attempts, err }, '📤 Send failed, retrying');
+        job.status = 'queued';
+        return Math.min(RETRY_BASE_MS * 2 ** (job.attempts - 1), RETRY_MAX_MS);
+      }
+      this.logger.error({ jobId: job.id, chatId: job.chatId, err }, '❌ Send failed permanently');
+      job.status = 'failed';
+      this.onSettled(job);
+      return null;
+    } finally {
+      job.updatedAt = Date.now();
+      this.prune();
+      this.store.save();
+    }
+  }
+
+  scheduleRetry(chatId, delay) {
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(chatId);
+      this.kick();
+    }, delay);
+    timer.unref?.();
+    this.retryTimers.set(chatId, timer);
+  }
+
+  // Drop the oldest finished jobs beyond KEEP_FINISHED
+  prune() {
+    const finished = this.jobs.filter(j => j.status === 'sent' || j.status === 'failed');
+    const excess = finished.length - KEEP_FINISHED;
+    if (excess <= 0) return;
+    const drop = new Set(finished.slice(0, excess));
+    this.store.data.jobs = this.jobs.filter(j => !drop.has(j));
+  }
+
+  flush() {
+    this.store.flush();
+  }
+
+  // Stop sending and let the sends under way finish
+  async close() {
+    this.closed = true;
+    for (const timer of this.retryTimers.values()) clearTimeout(timer);
+    this.retryTimers.clear();
+    await Promise.allSettled([...this.inFlight]);
+    this.flush();
+  }
+}
+
+module.exports = { Outbox, isTransientError };
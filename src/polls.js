@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { JsonFile } = require('./jsonFile');
+
+// ============ POLLS ============
+// Every group poll we've seen, with each voter's current choice.
+//
+// Votes arrive encrypted with a secret that only the poll's creation
+// message carries. Baileys decrypts them when its getMessage() hands back
+// that message, which is what creationMessage() is for; the decrypted
+// vote lists the SHA-256 of each chosen option's name. A voter's newest
+// vote replaces the previous one, and an empty vote takes it back.
+
+const SAVE_DELAY_MS = 1000;
+const MAX_POLLS = 1000;
+
+const optionHash = (name) => crypto.createHash('sha256').update(Buffer.from(name)).digest('hex');
+
+class Polls {
+  constructor(file) {
+    this.store = new JsonFile(file, { polls: {} }, { delay: SAVE_DELAY_MS });
+  }
+
+  get polls() {
+    return this.store.data.polls;
+  }
+
+  get(id) {
+    return this.polls[id] || null;
+  }
+
+  /**
+   * Remember a poll from its stored message. History sync and our own
+   * sends deliver the same poll more than once; votes are kept.
+   * @param {object} message - normalized message with `poll`
+   * @param {Uint8Array} [secret] - messageContextInfo.messageSecret
+   */
+  record(message, secret) {
+    const existing = this.polls[message.id];
+    if (existing && !secret) return existing;
+
+    this.polls[message.id] = {
+      id: message.id,
+      chatId: message.chatId,
+      creator: message.sender,
+      name: message.text,
+      options: message.poll.options,
+      selectableCount: message.poll.selectableCount,
+      secret: secret ? Buffer.from(secret).toString('base64') : existing?.secret || null,
+      votes: existing?.votes || {},   // voter JID -> { options, at }
+      createdAt: existing?.createdAt || message.timestamp,
+      updatedAt: existing?.updatedAt || message.timestamp
+    };
+    this.trim();
+    this.store.save();
+    return this.polls[message.id];
+  }
+
+  /**
+   * The poll creation message as Baileys' getMessage() must return it,
+   * or undefined if we don't have the secret.
+   */
+  creationMessage(id) {
+    const poll = this.get(id);
+    if (!poll?.secret) return undefined;
+    return {
+      messageContextInfo: { messageSecret: Buffer.from(poll.secret, 'base64') },
+      pollCreationMessage: {
+        name: poll.name,
+        options: poll.options.map(optionName => ({ optionName })),
+        selectableOptionsCount: poll.selectableCount
+      }
+    };
+  }
+
+  /**
+   * Apply one decrypted vote. Returns the chosen option names, or null
+   * when nothing changed (unknown poll, stale or repeated vote).
+   * @param {string} id - poll message ID
+   * @param {string} voter - normalized JID
+   * @param {Uint8Array[]} selectedOptions - option name hashes
+   * @param {number} at - sender timestamp, ms
+   */
+  vote(id, voter, selectedOptions, at) {
+    const poll = this.get(id);
+    if (!poll) return null;
+    const previous = poll.votes[voter];
+    if (previous && previous.at > at) return null;
+
+    const hashes = new Set(selectedOptions.map(h => Buffer.from(h).toString('hex')));
+    const options = poll.options.filter(name => hashes.has(optionHash(name)));
+    const unchanged = previous
+      ? previous.options.join('\n') === options.join('\n')
+      : options.length === 0;
+    if (unchanged) return null;
+
+    if (options.length) {
+      poll.votes[voter] = { options, at };
+    } else {
+      delete poll.votes[voter];
+    }
+    poll.updatedAt = Math.max(poll.updatedAt, at);
+    this.store.save();
+    return options;
+  }
+
+  // Tallies per option, in the poll's order
+  results(id) {
+    const poll = this.get(id);
+    if (!poll) return null;
+    const voters = Object.entries(poll.votes);
+    return {
+      messageId: poll.id,
+      chatId: poll.chatId,
+      creator: poll.creator,
+      name: poll.name,
+      selectableCount: poll.selectableCount,
+      options: poll.options.map(name => {
+        const who = voters.filter(([, vote]) => vote.options.includes(name)).map(([jid]) => jid);
+        return { name, votes: who.length, voters: who };
+      }),
+      totalVoters: voters.length,
+      updatedAt: poll.updatedAt
+    };
+  }
+
+  // Oldest polls go first
+  trim() {
+    const ids = Object.keys(this.polls);
+    if (ids.length <= MAX_POLLS) return;
+    ids.sort((a, b) => this.polls[a].createdAt - this.polls[b].createdAt);
+    for (const id of ids.slice(0, ids.length - MAX_POLLS)) delete this.polls[id];
+  }
+
+  flush() {
+    this.store.flush();
+  }
+}
+
+module.exports = { Polls, optionHash };
@@ -0,0 +1,186 @@
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+
+// ============ RECONNECT CONTROLLER ============
+// Decides when a session connects again after its socket closed or failed
+// to open: right away when WhatsApp asks for a restart, with exponential
+// backoff and jitter for network trouble, and not at all when retrying
+// can't help (logged out, replaced by another client, banned). After too
+// many failures in a row the circuit opens and we wait for a long
+// cooldown before a single trial connection.
+
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 2 * 60 * 1000;
+const FAILURE_THRESHOLD = 8;
+const COOLDOWN_MS = 10 * 60 * 1000;
+// A connection that lasted less than this still counts as a failure, so a
+// socket that opens and drops over and over trips the breaker too
+const STABLE_MS = 60 * 1000;
+// badSession (500) is also what Baileys reports for plain socket errors,
+// so it backs off like them. Only this many in a row, each straight after
+// the connection opened, point at corrupt credentials: then we stop and
+// report `needs_relink` instead of retrying with them.
+const BAD_SESSION_LIMIT = 3;
+
+// What to do for each DisconnectReason; anything unlisted backs off
+const CLOSE_ACTIONS = {
+  [DisconnectReason.restartRequired]: 'restart',       // normal after linking
+  [DisconnectReason.loggedOut]: 'logout',
+  [DisconnectReason.multideviceMismatch]: 'logout',
+  [DisconnectReason.connectionReplaced]: 'stop',       // another client took over
+  [DisconnectReason.forbidden]: 'stop'                 // account banned or blocked
+};
+
+function reasonName(code) {
+  return DisconnectReason[code] || (code === undefined ? 'none' : 'unknown');
+}
+
+class ReconnectController {
+  /**
+   * @param {object} opts
+   * @param {() => void} opts.connect - starts a connection attempt
+   * @param {import('pino').Logger} opts.logger
+   * @param {() => number} [opts.random] - for tests
+   */
+  constructor({ connect, logger, random = Math.random }) {
+    this.connect = connect;
+    this.logger = logger;
+    this.random = random;
+
+    this.failures = 0;            // consecutive, reset by a stable connection
+    this.badSessions = 0;         // consecutive badSession closes right after opening
+    this.timer = null;
+    this.nextRetryAt = null;
+    this.openedAt = null;         // when the current socket connected
+    this.lastDisconnect = null;   // { code, reason, message, at }
+    this.circuit = { state: 'closed', openedAt: null, retryAt: null, reason: null };
+  }
+
+  // ===== EVENTS =====
+
+  connected() {
+    this.openedAt = Date.now();
+    this.cancel();
+    if (this.circuit.state !== 'closed') {
+      this.logger.info('🟢 Circuit closed - connection restored');
+      this.circuit = { state: 'closed', openedAt: null, retryAt: null, reason: null };
+    }
+  }
+
+  /**
+   * The socket closed. Schedules whatever comes next and returns the
+   * action taken: restart, backoff, logout, stop, needs_relink or circuit_open.
+   */
+  closed(code, message) {
+    const stable = this.openedAt !== null && Date.now() - this.openedAt >= STABLE_MS;
+    const justOpened = this.openedAt !== null && !stable;
+    this.openedAt = null;
+    if (stable) this.failures = 0;
+    this.lastDisconnect = { code: code ?? null, reason: reasonName(code), message: message || null, at: Date.now() };
+
+    this.badSessions = code === DisconnectReason.badSession && justOpened ? this.badSessions + 1 : 0;
+    if (this.badSessions >= BAD_SESSION_LIMIT) {
+      this.openCircuit('needs_relink', { retry: false });
+      return 'needs_relink';
+    }
+
+    const action = CLOSE_ACTIONS[code] || 'backoff';
+    switch (action) {
+      case 'restart':
+        this.schedule(0);
+        return action;
+      case 'logout':
+        this.cancel();
+        return action;
+      case 'stop':
+        this.openCircuit(this.lastDisconnect.reason, { retry: false });
+        return action;
+      default:
+        return this.fail();
+    }
+  }
+
+  // Connecting threw before a socket was up
+  failed(err) {
+    this.lastDisconnect = { code: null, reason: 'error', message: err.message, at: Date.now() };
+    return this.fail();
+  }
+
+  // /restart and similar: forget past failures and connect soon
+  reset(delay = 0) {
+    this.failures = 0;
+    this.badSessions = 0;
+    this.circuit = { state: 'closed', openedAt: null, retryAt: null, reason: null };
+    this.schedule(delay);
+  }
+
+  // ===== SCHEDULING =====
+
+  fail() {
+    this.failures++;
+    if (this.circuit.state === 'half_open' || this.failures >= FAILURE_THRESHOLD) {
+      this.openCircuit('too_many_failures', { retry: true });
+      return 'circuit_open';
+    }
+    const delay = this.backoffDelay(this.failures);
+    this.logger.info({ delayMs: delay, attempt: this.failures }, '🔄 Reconnecting');
+    this.schedule(delay);
+    return 'backoff';
+  }
+
+  // "Equal jitter": half the exponential delay, plus up to the other half
+  backoffDelay(attempt) {
+    const exp = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(exp / 2 + this.random() * exp / 2);
+  }
+
+  openCircuit(reason, { retry }) {
+    this.cancel();
+    const now = Date.now();
+    this.circuit = {
+      state: 'open',
+      openedAt: now,
+      retryAt: retry ? now + COOLDOWN_MS : null,
+      reason
+    };
+    if (!retry) {
+      this.logger.warn({ reason }, '⛔ Not reconnecting - use /restart once it is resolved');
+      return;
+    }
+    this.logger.warn({ failures: this.failures, retryAt: this.circuit.retryAt }, '⛔ Circuit open');
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.nextRetryAt = null;
+      this.circuit.state = 'half_open';
+      this.connect();
+    }, COOLDOWN_MS);
+    this.timer.unref?.();
+    this.nextRetryAt = this.circuit.retryAt;
+  }
+
+  schedule(delay) {
+    this.cancel();
+    this.nextRetryAt = Date.now() + delay;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.nextRetryAt = null;
+      this.connect();
+    }, delay);
+  }
+
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRetryAt = null;
+  }
+
+  snapshot() {
+    return {
+      failures: this.failures,
+      nextRetryAt: this.nextRetryAt,
+      lastDisconnect: this.lastDisconnect,
+      circuit: { ...this.circuit }
+    };
+  }
+}
+
+module.exports = { ReconnectController };
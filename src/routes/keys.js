@@ -0,0 +1,32 @@
+const express = require('express');
+const { SCOPES } = require('../apiKeys');
+const { sendError } = require('../errors');
+
+// ============ API KEY ROUTES ============
+
+function createKeyRouter(apiKeys, { requireScope, validate }) {
+  const router = express.Router();
+  router.use(requireScope('admin'));
+
+  // List keys (never the key itself)
+  router.get('/', validate('listKeys'), (req, res) => {
+    res.json({ scopes: SCOPES, keys: apiKeys.list() });
+  });
+
+  // Create a key - the plaintext `key` is only returned here
+  router.post('/', validate('createKey'), (req, res) => {
+    res.status(201).json(apiKeys.create(req.body || {}));
+  });
+
+  // Revoke a key
+  router.delete('/:id', validate('revokeKey'), (req, res) => {
+    if (!apiKeys.revoke(req.params.id)) {
+      return sendError(req, res, 'KEY_NOT_FOUND', 'Key not found');
+    }
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createKeyRouter };
@@ -0,0 +1,42 @@
+const express = require('express');
+const { sendError } = require('../errors');
+
+// ============ RULE ROUTES ============
+
+function createRuleRouter(rules, { requireScope, validate }) {
+  const router = express.Router();
+  router.use(requireScope('admin'));
+
+  // Rules in the order they are checked
+  router.get('/', validate('listRules'), (req, res) => {
+    res.json({ rules: rules.list() });
+  });
+
+  router.post('/', validate('createRule'), (req, res) => {
+    res.status(201).json(rules.create(req.body || {}));
+  });
+
+  router.get('/:id', validate('getRule'), (req, res) => {
+    const rule = rules.get(req.params.id);
+    if (!rule) return sendError(req, res, 'RULE_NOT_FOUND', 'Rule not found');
+    res.json(rule);
+  });
+
+  // Change name, conditions, actions or enabled
+  router.patch('/:id', validate('updateRule'), (req, res) => {
+    const rule = rules.update(req.params.id, req.body || {});
+    if (!rule) return sendError(req, res, 'RULE_NOT_FOUND', 'Rule not found');
+    res.json(rule);
+  });
+
+  router.delete('/:id', validate('deleteRule'), (req, res) => {
+    if (!rules.remove(req.params.id)) {
+      return sendError(req, res, 'RULE_NOT_FOUND', 'Rule not found');
+    }
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createRuleRouter };
@@ -0,0 +1,848 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable, pipeline } = require('stream');
+const express = require('express');
+const multer = require('multer');
+const { MediaError } = require('../mediaCache');
+const { countReactions } = require('../session');
+const { highlight } = require('../searchIndex');
+const { ChatActionError } = require('../chatActions');
+const { chatType } = require('../chatStore');
+const { EXPORT_FORMATS, exportChat } = require('../chatArchive');
+const { isValidTimezone } = require('../clock');
+const { ApiError, sendError } = require('../errors');
+
+const SENDABLE_MEDIA = ['image', 'video', 'audio', 'document'];
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+const DEFAULT_INBOX_LIMIT = 50;
+const MAX_INBOX_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Part of the /chats ETag, since store revisions restart at 0
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+const AUTH_BACKUP_MAX_BYTES = 50 * 1024 * 1024;
+const DATE_ORDERS = ['dmy', 'mdy'];
+
+// ============ SESSION ROUTES ============
+// Routes that act on one WhatsApp account. Mounted twice: at the root
+// for the default session and under /sessions/:sessionId. Expects
+// `req.waSession` to be set by the mounting middleware. Errors go to
+// next() and come out in the envelope from src/errors.js.
+
+function createSessionRouter({ requireScope, validate, uploadMaxBytes }) {
+  const router = express.Router({ mergeParams: true });
+
+  // Uploads go straight to the session's outgoing folder and are
+  // deleted once the outbox is done with them
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => {
+        fs.mkdirSync(req.waSession.uploadDir, { recursive: true });
+        cb(null, req.waSession.uploadDir);
+      },
+      filename: (req, file, cb) => cb(null, crypto.randomUUID())
+    }),
+    limits: { fileSize: uploadMaxBytes, files: 1 }
+  }).single('file');
+
+  // Auth backups are small enough to parse in memory
+  const backupUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: AUTH_BACKUP_MAX_BYTES, files: 1 }
+  }).single('file');
+
+  // Chat exports are parsed in memory; a zip's media is written out by the import
+  const exportUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: uploadMaxBytes, files: 1 }
+  }).single('file');
+
+  // Connection status
+  router.get('/status', requireScope('read:status'), validate('getStatus'), (req, res) => {
+    const session = req.waSession;
+    res.json({
+      sessionId: session.id,
+      status: session.status,
+      since: session.statusSince,
+      connected: session.status === 'connected',
+      hasQR: session.qrCode !== null,
+      user: session.userInfo,
+      pairing: session.pairing,
+      reconnect: session.reconnect.snapshot()
+    });
+  });
+
+  // Recent connection state changes, newest first (?limit=)
+  router.get('/status/history', requireScope('read:status'), validate('getStatusHistory'), (req, res) => {
+    const session = req.waSession;
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+    const history = session.statusHistory.slice(limit ? -limit : 0).reverse();
+    res.json({ sessionId: session.id, status: session.status, count: history.length, history });
+  });
+
+  // Get QR code - 202 while there is none yet
+  router.get('/qr', requireScope('read:status'), validate('getQr'), (req, res) => {
+    const session = req.waSession;
+
+    if (session.status === 'connected') {
+      return res.json({
+        status: 'connected',
+        message: 'Already connected to WhatsApp',
+        qr: null
+      });
+    }
+
+    if (!session.qrCode) {
+      return res.status(202).json({
+        status: session.status,
+        message: 'QR code not ready yet, please wait...',
+        qr: null
+      });
+    }
+
+    res.json({
+      status: 'waiting_for_scan',
+      message: 'Scan the QR code with WhatsApp',
+      qr: session.qrCode
+    });
+  });
+
+  // Request a pairing code for phone-number login (alternative to the QR)
+  router.post('/pair', requireScope('admin'), validate('requestPairingCode'), async (req, res, next) => {
+    try {
+      const pairing = await req.waSession.requestPairingCode(req.body.phoneNumber);
+      res.json({ status: 'waiting_for_pairing_code', ...pairing });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Cancel a pending pairing code and go back to the QR
+  router.delete('/pair', requireScope('admin'), validate('cancelPairing'), (req, res) => {
+    const cleared = req.waSession.clearPairing('cancelled');
+    res.json({
+      success: true,
+      message: cleared ? 'Pairing cancelled' : 'No pairing code pending',
+      status: req.waSession.status
+    });
+  });
+
+  // Chats from the store, groups enriched from the metadata cache.
+  // ?type=group (default), direct or all; ?since= returns only chats
+  // changed since then plus `removed` IDs; ?refresh=true re-fetches groups
+  // from WhatsApp first. Supports If-None-Match.
+  router.get('/chats', requireScope('read:chats'), validate('listChats'), async (req, res) => {
+    const session = req.waSession;
+    const type = req.query.type || 'group';
+    const since = parseTime(req.query.since);
+
+    if (req.query.refresh === 'true') {
+      if (!session.isConnected()) {
+        return sendError(req, res, 'NOT_CONNECTED', 'Not connected to WhatsApp');
+      }
+      try {
+        await session.refreshGroups();
+      } catch (err) {
+        req.log.error({ err }, 'Error fetching groups');
+        return sendError(req, res, 'UPSTREAM_ERROR', `Group fetch failed: ${err.message}`);
+      }
+    }
+
+    // Changes whenever anything in the response could have
+    const connected = session.isConnected();
+    res.set('ETag', `W/"${BOOT_ID}-${session.chats.revision}-${session.groupCache.revision}-${connected ? 1 : 0}"`);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const serverTime = Date.now();
+    let chatList = session.chats.listChats({ type }).map(chat => {
+      const group = session.groupCache.get(chat.id);
+      if (group) {
+        return {
+          ...chat,
+          participants: group.participants?.length || 0,
+          creation: group.creation,
+          desc: group.desc || '',
+          left: false,
+          updatedAt: Math.max(chat.updatedAt || 0, group.updatedAt)
+        };
+      }
+      // Groups we left keep their chat (and history), flagged
+      const leftAt = session.groupCache.removedAt(chat.id);
+      if (leftAt === null) return chat;
+      return { ...chat, left: true, updatedAt: Math.max(chat.updatedAt || 0, leftAt) };
+    });
+
+    let removed;
+    if (since !== undefined) {
+      chatList = chatList.filter(chat => chat.updatedAt >= since);
+      removed = session.chats.deletedSince(since).filter(id => type === 'all' || chatType(id) === type);
+    }
+
+    res.json({
+      count: chatList.length,
+      connected,
+      groupsFetchedAt: session.groupCache.fetchedAt,
+      serverTime,
+      chats: chatList,
+      ...(removed && { removed })
+    });
+  });
+
+  // Address book and everyone we've seen a push name for (?q= filters)
+  router.get('/contacts', requireScope('read:chats'), validate('listContacts'), (req, res) => {
+    const contacts = req.waSession.chats.listContacts({ query: req.query.q });
+    res.json({ count: contacts.length, contacts });
+  });
+
+  // ===== GROUP MANAGEMENT =====
+
+  // Group details with every participant and their admin flags
+  router.get('/chats/:id', requireScope('read:chats'), validate('getGroup'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.groups.info(req.params.id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Change subject, description, announce or locked
+  router.patch('/chats/:id', requireScope('admin'), validate('updateGroup'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.groups.update(req.params.id, req.body || {}));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // { action: add|remove|promote|demote, participants: [phone or JID] }
+  router.post('/chats/:id/participants', requireScope('admin'), validate('updateParticipants'), async (req, res, next) => {
+    const { action, participants } = req.body || {};
+    try {
+      const results = await req.waSession.groups.updateParticipants(req.params.id, participants.map(toUserJid), action);
+      res.json({ action, results });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Current invite link
+  router.get('/chats/:id/invite', requireScope('admin'), validate('getInviteLink'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.groups.inviteLink(req.params.id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Revoke the invite link; returns the replacement
+  router.delete('/chats/:id/invite', requireScope('admin'), validate('revokeInviteLink'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.groups.revokeInvite(req.params.id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Create a group: { subject, participants? }
+  router.post('/groups', requireScope('admin'), validate('createGroup'), async (req, res, next) => {
+    const { subject, participants = [] } = req.body || {};
+    try {
+      const group = await req.waSession.groups.create(subject, participants.map(toUserJid));
+      res.status(201).json(group);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ===== CHAT STATE & PRESENCE =====
+
+  // Mark the whole chat read, or send receipts for { messageIds }
+  router.post('/chats/:id/read', requireScope('send'), validate('markRead'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.chatActions.markRead(req.params.id, req.body?.messageIds));
+    } catch (err) {
+      next(chatActionFailure(req, err));
+    }
+  });
+
+  router.post('/chats/:id/unread', requireScope('send'), validate('markUnread'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.chatActions.markUnread(req.params.id));
+    } catch (err) {
+      next(chatActionFailure(req, err));
+    }
+  });
+
+  // Archive; DELETE unarchives
+  router.post('/chats/:id/archive', requireScope('send'), validate('archiveChat'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.chatActions.setArchived(req.params.id, true));
+    } catch (err) {
+      next(chatActionFailure(req, err));
+    }
+  });
+
+  router.delete('/chats/:id/archive', requireScope('send'), validate('unarchiveChat'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.chatActions.setArchived(req.params.id, false));
+    } catch (err) {
+      next(chatActionFailure(req, err));
+    }
+  });
+
+  // Pin to the top of the chat list
+  router.post('/chats/:id/pin', requireScope('send'), validate('pinChat'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.chatActions.setPinned(req.params.id, true));
+    } catch (err) {
+      next(chatActionFailure(req, err));
+    }
+  });
+
+  router.delete('/chats/:id/pin', requireScope('send'), validate('unpinChat'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.chatActions.setPinned(req.params.id, false));
+    } catch (err) {
+      next(chatActionFailure(req, err));
+    }
+  });
+
+  // { duration: seconds | "forever" }
+  router.post('/chats/:id/mute', requireScope('send'), validate('muteChat'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.chatActions.setMuted(req.params.id, req.body.duration));
+    } catch (err) {
+      next(chatActionFailure(req, err));
+    }
+  });
+
+  router.delete('/chats/:id/mute', requireScope('send'), validate('unmuteChat'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.chatActions.setMuted(req.params.id, null));
+    } catch (err) {
+      next(chatActionFailure(req, err));
+    }
+  });
+
+  // Show { state: typing|recording|paused } in the chat
+  router.post('/chats/:id/presence', requireScope('send'), validate('sendPresence'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.chatActions.sendPresence(req.params.id, req.body.state));
+    } catch (err) {
+      next(chatActionFailure(req, err));
+    }
+  });
+
+  // Start receiving a contact's (or group's) presence updates
+  router.post('/chats/:id/presence/subscribe', requireScope('read:chats'), validate('subscribePresence'), async (req, res, next) => {
+    try {
+      res.json(await req.waSession.chatActions.subscribePresence(req.params.id));
+    } catch (err) {
+      next(chatActionFailure(req, err));
+    }
+  });
+
+  // Last presence we received per participant
+  router.get('/chats/:id/presence', requireScope('read:chats'), validate('getPresence'), (req, res, next) => {
+    try {
+      res.json(req.waSession.chatActions.presence(req.params.id));
+    } catch (err) {
+      next(chatActionFailure(req, err));
+    }
+  });
+
+  // Get stored messages for a chat (newest first, cursor-paginated)
+  router.get('/chats/:id/messages', requireScope('read:chats'), validate('listMessages'), (req, res) => {
+    const { messages, nextCursor } = req.waSession.messageStore.list(req.params.id, {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+
+    res.json({
+      chatId: req.params.id,
+      count: messages.length,
+      messages,
+      nextCursor
+    });
+  });
+
+  // Download stored messages: ?format=json (default), csv or txt (WhatsApp's
+  // "Export chat" layout, times in ?timezone=), ?from=&to=
+  router.get('/chats/:id/export', requireScope('read:chats'), validate('exportChat'), (req, res) => {
+    const session = req.waSession;
+    const chatId = req.params.id;
+    const format = req.query.format || 'json';
+    const { timezone } = req.query;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+
+    if (!session.messageStore.chatIds().includes(chatId)) {
+      return sendError(req, res, 'CHAT_NOT_FOUND', 'No stored messages for this chat');
+    }
+
+    const name = session.chats.displayName(chatId);
+    const selfName = session.userInfo?.name || 'You';
+    const messages = session.messageStore.range(chatId, from ?? 0, to ?? Infinity);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    res.attachment(`WhatsApp Chat with ${name.replace(/[/\\:*?"<>|]/g, '_')}.${extension}`);
+    res.set('Content-Type', contentType);
+    const lines = Readable.from(exportChat(messages, format, {
+      chatId,
+      name,
+      timezone,
+      senderName: (m) => m.fromMe ? selfName : session.chats.displayName(m.sender, m.senderName)
+    }));
+    // On error pipeline has already destroyed res: the download is cut
+    // short rather than ending like a complete file
+    pipeline(lines, res, (err) => {
+      if (!err) return;
+      if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        req.log.debug({ chatId }, 'Chat export aborted by the client');
+      } else {
+        req.log.error({ err, chatId }, 'Chat export failed');
+      }
+    });
+  });
+
+  // Load a WhatsApp "Export chat" file into the store (multipart: file as
+  // .txt or .zip, timezone?, dateOrder?, selfName?)
+  // Multipart fields are checked here, after multer has parsed them
+  router.post('/chats/:id/import', requireScope('admin'), validate('importChat'), (req, res, next) => {
+    exportUpload(req, res, (err) => {
+      if (err) return next(err);
+
+      const chatId = req.params.id;
+      const { timezone, dateOrder, selfName } = req.body || {};
+      if (!req.file) {
+        return sendError(req, res, 'INVALID_REQUEST', 'file is required');
+      }
+      if (!chatType(chatId)) {
+        return sendError(req, res, 'INVALID_CHAT_ID', 'Invalid chat ID');
+      }
+      if (timezone !== undefined && !isValidTimezone(timezone)) {
+        return sendError(req, res, 'INVALID_REQUEST', 'timezone must be an IANA timezone, e.g. Asia/Jerusalem');
+      }
+      if (dateOrder !== undefined && !DATE_ORDERS.includes(dateOrder)) {
+        return sendError(req, res, 'INVALID_REQUEST', `dateOrder must be one of: ${DATE_ORDERS.join(', ')}`);
+      }
+
+      try {
+        res.json(req.waSession.importChat(chatId, req.file.buffer, { timezone, dateOrder, selfName }));
+      } catch (err) {
+        next(err);
+      }
+    });
+  });
+
+  // Full-text search over stored messages
+  router.get('/search', requireScope('read:chats'), validate('searchMessages'), (req, res) => {
+    const session = req.waSession;
+    const { q, chatId, sender, hasMedia } = req.query;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const hits = session.search.search(q, {
+      chatId,
+      sender: sender ? toUserJid(sender) : undefined,
+      from,
+      to,
+      hasMedia: hasMedia === undefined ? undefined : hasMedia === 'true' || hasMedia === '1'
+    });
+
+    const results = [];
+    for (const hit of hits.slice(offset, offset + limit)) {
+      // The store may have trimmed a message the index still knows
+      const message = session.messageStore.find(hit.id);
+      if (!message) continue;
+      results.push({
+        score: Number(hit.score.toFixed(4)),
+        highlight: highlight(message, hit.terms),
+        message
+      });
+    }
+
+    res.json({ query: q, total: hits.length, offset, limit, results });
+  });
+
+  // "Needs attention": messages a rule tagged important, newest first.
+  // Page with ?before=<timestamp of the last message seen>.
+  router.get('/inbox', requireScope('read:chats'), validate('getInbox'), (req, res) => {
+    const { chatId } = req.query;
+    const before = parseTime(req.query.before);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_INBOX_LIMIT, 1), MAX_INBOX_LIMIT);
+
+    const matching = [];
+    for (const m of req.waSession.messageStore.all()) {
+      if (!m.important || m.deleted) continue;
+      if (chatId && m.chatId !== chatId) continue;
+      if (before && m.timestamp >= before) continue;
+      matching.push(m);
+    }
+    matching.sort((a, b) => b.timestamp - a.timestamp);
+
+    // WhatsApp timestamps are whole seconds; never split a second across pages
+    let end = Math.min(limit, matching.length);
+    while (end < matching.length && matching[end].timestamp === matching[end - 1].timestamp) end++;
+
+    const messages = matching.slice(0, end);
+    res.json({
+      messages,
+      nextBefore: end < matching.length ? messages[messages.length - 1].timestamp : null
+    });
+  });
+
+  // Daily digest schedule and watched groups
+  router.get('/digests/settings', requireScope('read:chats'), validate('getDigestSettings'), (req, res) => {
+    res.json(req.waSession.digests.status());
+  });
+
+  router.put('/digests/settings', requireScope('admin'), validate('updateDigestSettings'), (req, res) => {
+    res.json(req.waSession.digests.updateSettings(req.body || {}));
+  });
+
+  // Stored digests for a group, newest first
+  router.get('/chats/:id/digests', requireScope('read:chats'), validate('listDigests'), (req, res) => {
+    const digests = req.waSession.digests.list(req.params.id);
+    const limit = Math.max(parseInt(req.query.limit, 10) || digests.length, 1);
+    res.json({ chatId: req.params.id, digests: digests.slice(0, limit) });
+  });
+
+  // Generate a digest now (default: the last 24 hours), optionally
+  // sending it to `deliverTo` (default: the configured chat)
+  router.post('/chats/:id/digests', requireScope('admin'), validate('generateDigest'), async (req, res, next) => {
+    const { deliver = false, deliverTo } = req.body || {};
+    const to = parseTime(req.body?.to) ?? Date.now();
+    const from = parseTime(req.body?.from) ?? to - DAY_MS;
+    if (from >= to) {
+      return sendError(req, res, 'INVALID_REQUEST', 'from must be before to');
+    }
+
+    try {
+      const digest = await req.waSession.digests.generate(req.params.id, {
+        from,
+        to,
+        deliver: !!deliver,
+        ...(deliverTo && { deliverTo })
+      });
+      res.status(201).json(digest);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Scheduled messages (?status=active|completed|cancelled)
+  router.get('/schedules', requireScope('send'), validate('listSchedules'), (req, res) => {
+    res.json({ schedules: req.waSession.schedules.list({ status: req.query.status }) });
+  });
+
+  // { chatId, content: { text, mentions? }, runAt | cron, timezone?, name? }
+  router.post('/schedules', requireScope('send'), validate('createSchedule'), (req, res) => {
+    const { content, ...rest } = req.body;
+    const schedule = req.waSession.schedules.create({
+      ...rest,
+      content: {
+        text: content.text,
+        mentions: (content.mentions || []).map(toUserJid)
+      }
+    });
+    res.status(201).json(schedule);
+  });
+
+  router.get('/schedules/:id', requireScope('send'), validate('getSchedule'), (req, res) => {
+    const schedule = req.waSession.schedules.get(req.params.id);
+    if (!schedule) return sendError(req, res, 'SCHEDULE_NOT_FOUND', 'Schedule not found');
+    res.json(schedule);
+  });
+
+  // Run history, newest first
+  router.get('/schedules/:id/runs', requireScope('send'), validate('listScheduleRuns'), (req, res) => {
+    const { schedules } = req.waSession;
+    if (!schedules.get(req.params.id)) return sendError(req, res, 'SCHEDULE_NOT_FOUND', 'Schedule not found');
+    res.json({ runs: schedules.runs(req.params.id) });
+  });
+
+  // Cancel - the schedule and its history are kept
+  router.delete('/schedules/:id', requireScope('send'), validate('cancelSchedule'), (req, res) => {
+    const schedule = req.waSession.schedules.cancel(req.params.id);
+    if (!schedule) return sendError(req, res, 'SCHEDULE_NOT_FOUND', 'Schedule not found');
+    res.json(schedule);
+  });
+
+  // Queue an outbound text message (optionally a reply and/or with @mentions)
+  router.post('/chats/:id/messages', requireScope('send'), validate('sendMessage'), (req, res) => {
+    const session = req.waSession;
+    const chatId = req.params.id;
+    const { text, quotedId, mentions } = req.body;
+
+    if (!chatId.includes('@')) {
+      return sendError(req, res, 'INVALID_CHAT_ID', 'Invalid chat ID');
+    }
+    if (quotedId && !session.messageStore.get(chatId, quotedId)) {
+      return sendError(req, res, 'MESSAGE_NOT_FOUND', 'Quoted message not found');
+    }
+
+    const job = session.outbox.enqueue(chatId, {
+      text,
+      quotedId: quotedId || null,
+      mentions: (mentions || []).map(toUserJid)
+    });
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      connected: session.isConnected()
+    });
+  });
+
+  // Queue an image, video, audio or document (multipart: file, caption?, type?, quotedId?)
+  router.post('/chats/:id/media', requireScope('send'), validate('sendMedia'), (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err) return next(err);
+
+      const session = req.waSession;
+      const chatId = req.params.id;
+      const file = req.file;
+      const { caption, quotedId } = req.body || {};
+      const type = req.body?.type || mediaTypeFor(file?.mimetype);
+
+      const reject = (code, message) => {
+        if (file) fs.rmSync(file.path, { force: true });
+        sendError(req, res, code, message);
+      };
+
+      if (!file) {
+        return reject('INVALID_REQUEST', 'file is required');
+      }
+      if (!chatId.includes('@')) {
+        return reject('INVALID_CHAT_ID', 'Invalid chat ID');
+      }
+      if (!SENDABLE_MEDIA.includes(type)) {
+        return reject('INVALID_REQUEST', `type must be one of: ${SENDABLE_MEDIA.join(', ')}`);
+      }
+      if (quotedId && !session.messageStore.get(chatId, quotedId)) {
+        return reject('MESSAGE_NOT_FOUND', 'Quoted message not found');
+      }
+
+      const job = session.outbox.enqueue(chatId, {
+        text: caption || undefined,
+        quotedId: quotedId || null,
+        media: {
+          type,
+          path: file.path,
+          mimetype: file.mimetype,
+          fileName: file.originalname,
+          size: file.size
+        }
+      });
+
+      res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        connected: session.isConnected()
+      });
+    });
+  });
+
+  // Queue a poll in a group ({ name, options, allowMultiple? })
+  router.post('/chats/:id/polls', requireScope('send'), validate('sendPoll'), (req, res) => {
+    const session = req.waSession;
+    const chatId = req.params.id;
+    const { name, options, allowMultiple } = req.body;
+
+    if (chatType(chatId) !== 'group') {
+      return sendError(req, res, 'NOT_A_GROUP', 'Polls can only be sent to groups');
+    }
+    if (new Set(options).size !== options.length) {
+      return sendError(req, res, 'INVALID_REQUEST', 'options must be unique');
+    }
+
+    const job = session.outbox.enqueue(chatId, {
+      quotedId: null,
+      // WhatsApp: 0 lets voters pick any number of options
+      poll: { name, options, selectableCount: allowMultiple ? 0 : 1 }
+    });
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      connected: session.isConnected()
+    });
+  });
+
+  // Current tallies of a poll, with who voted for what
+  router.get('/messages/:id/poll', requireScope('read:chats'), validate('getPollResults'), (req, res) => {
+    const results = req.waSession.polls.results(req.params.id);
+    if (!results) {
+      return sendError(req, res, 'POLL_NOT_FOUND', 'No poll with this message ID');
+    }
+    res.json(results);
+  });
+
+  // Reactions on a stored message, counted per emoji
+  router.get('/messages/:id/reactions', requireScope('read:chats'), validate('getReactions'), (req, res) => {
+    const message = req.waSession.messageStore.find(req.params.id);
+    if (!message) {
+      return sendError(req, res, 'MESSAGE_NOT_FOUND', 'Message not found');
+    }
+    const reactions = message.reactions || {};
+    res.json({
+      messageId: message.id,
+      chatId: message.chatId,
+      counts: countReactions(reactions),
+      reactions: Object.entries(reactions).map(([sender, emoji]) => ({ sender, emoji }))
+    });
+  });
+
+  // Queue a reaction to a stored message ({ emoji }, "" takes ours back)
+  router.post('/messages/:id/reactions', requireScope('send'), validate('sendReaction'), (req, res) => {
+    const session = req.waSession;
+    const message = session.messageStore.find(req.params.id);
+    if (!message) {
+      return sendError(req, res, 'MESSAGE_NOT_FOUND', 'Message not found');
+    }
+
+    const job = session.outbox.enqueue(message.chatId, {
+      quotedId: null,
+      reaction: { messageId: message.id, emoji: req.body.emoji }
+    });
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      connected: session.isConnected()
+    });
+  });
+
+  // Download an attachment (decrypted on first request, then cached).
+  // Supports Range requests; ?download=1 to get it as an attachment.
+  router.get('/messages/:id/media', requireScope('read:chats'), validate('getMedia'), async (req, res, next) => {
+    const session = req.waSession;
+    const message = session.messageStore.find(req.params.id);
+
+    if (!message) {
+      return sendError(req, res, 'MESSAGE_NOT_FOUND', 'Message not found');
+    }
+    if (!message.media) {
+      return sendError(req, res, 'MEDIA_NOT_FOUND', 'Message has no media');
+    }
+
+    try {
+      const file = await session.media.get(message.id);
+      res.set('Content-Type', file.mimetype);
+      if (req.query.download === 'true' || req.query.download === '1') {
+        res.attachment(file.fileName || `${message.id}`);
+      }
+      res.sendFile(path.resolve(file.path), { acceptRanges: true, maxAge: '7d' });
+    } catch (err) {
+      if (err instanceof MediaError) return next(err);
+      req.log.error({ err }, 'Media download failed');
+      sendError(req, res, 'UPSTREAM_ERROR', `Media download failed: ${err.message}`);
+    }
+  });
+
+  // Outbound message job status
+  router.get('/outbox/:jobId', requireScope('send'), validate('getJob'), (req, res) => {
+    const job = req.waSession.outbox.get(req.params.jobId);
+    if (!job) {
+      return sendError(req, res, 'JOB_NOT_FOUND', 'Job not found');
+    }
+    res.json(job);
+  });
+
+  // Disconnect / Logout
+  router.post('/disconnect', requireScope('admin'), validate('disconnect'), async (req, res, next) => {
+    try {
+      const loggedOut = await req.waSession.logout();
+      if (!loggedOut) {
+        return res.json({ success: true, message: 'Already disconnected' });
+      }
+      res.json({ success: true, message: 'Logged out successfully' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Download the session's credentials, encrypted with a passphrase ({ passphrase })
+  router.post('/auth/export', requireScope('admin'), validate('exportAuth'), async (req, res, next) => {
+    const session = req.waSession;
+    try {
+      const backup = await session.exportAuthState(req.body.passphrase);
+      const date = new Date(backup.createdAt).toISOString().slice(0, 10);
+      res.attachment(`focuswave-auth-${session.id}-${date}.json`);
+      res.json(backup);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Restore credentials from an export and reconnect with them
+  // (multipart: file, passphrase)
+  router.post('/auth/import', requireScope('admin'), validate('importAuth'), (req, res, next) => {
+    backupUpload(req, res, async (err) => {
+      if (err) return next(err);
+      if (!req.file) {
+        return sendError(req, res, 'INVALID_REQUEST', 'file is required');
+      }
+
+      const session = req.waSession;
+      let backup;
+      try {
+        backup = JSON.parse(req.file.buffer.toString('utf8'));
+      } catch (e) {
+        return sendError(req, res, 'INVALID_REQUEST', 'file is not valid JSON');
+      }
+
+      try {
+        const keyCount = await session.importAuthState(backup, req.body?.passphrase);
+        res.json({ success: true, keyCount, message: 'Auth state restored, reconnecting...' });
+      } catch (err) {
+        next(err);
+      }
+    });
+  });
+
+  // Force restart connection
+  router.post('/restart', requireScope('admin'), validate('restart'), (req, res) => {
+    req.waSession.restart();
+    res.json({ success: true, message: 'Restarting connection...' });
+  });
+
+  return router;
+}
+
+// undefined when absent, null when invalid, otherwise unix ms
+function parseTime(value) {
+  if (value === undefined || value === '') return undefined;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// Anything but our own validation errors came from WhatsApp refusing
+function chatActionFailure(req, err) {
+  if (err instanceof ChatActionError) return err;
+  req.log.error({ err }, 'Chat action failed');
+  return new ApiError('UPSTREAM_ERROR', `WhatsApp rejected the change: ${err.message}`);
+}
+
+function mediaTypeFor(mimetype = '') {
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  if (mimetype.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+// Accept either a full JID or a bare phone number
+function toUserJid(value) {
+  const str = String(value).trim();
+  if (str.includes('@')) return str;
+  return `${str.replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+module.exports = { createSessionRouter, toUserJid };
@@ -0,0 +1,55 @@
+const express = require('express');
+const { sendError } = require('../errors');
+
+// ============ SESSIONS CRUD ============
+// Session-scoped routes (/sessions/:sessionId/status etc.) are mounted
+// separately, see routes/session.js.
+
+function createSessionsRouter(manager, { requireScope, validate }) {
+  const router = express.Router();
+
+  // List all sessions
+  router.get('/', requireScope('read:status'), validate('listSessions'), (req, res) => {
+    const sessions = manager.list().map(sessionSummary);
+    res.json({ count: sessions.length, sessions });
+  });
+
+  // Create a session and start connecting (scan its QR next)
+  router.post('/', requireScope('admin'), validate('createSession'), (req, res) => {
+    const session = manager.create(req.body || {});
+    res.status(201).json(sessionSummary(session));
+  });
+
+  router.get('/:sessionId', requireScope('read:status'), validate('getSession'), (req, res) => {
+    const session = manager.get(req.params.sessionId);
+    if (!session) return sendError(req, res, 'SESSION_NOT_FOUND', 'Session not found');
+    res.json(sessionSummary(session));
+  });
+
+  // Rename
+  router.patch('/:sessionId', requireScope('admin'), validate('renameSession'), (req, res) => {
+    const session = manager.rename(req.params.sessionId, req.body?.name);
+    if (!session) return sendError(req, res, 'SESSION_NOT_FOUND', 'Session not found');
+    res.json(sessionSummary(session));
+  });
+
+  // Log out and delete auth state and stored data
+  router.delete('/:sessionId', requireScope('admin'), validate('deleteSession'), async (req, res, next) => {
+    try {
+      const removed = await manager.remove(req.params.sessionId);
+      if (!removed) return sendError(req, res, 'SESSION_NOT_FOUND', 'Session not found');
+      res.json({ success: true, message: 'Session deleted' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+function sessionSummary(session) {
+  const { qr, ...summary } = session.snapshot();
+  return summary;
+}
+
+module.exports = { createSessionsRouter };
@@ -0,0 +1,93 @@
+const express = require('express');
+const { chatType } = require('../chatStore');
+const { sendError } = require('../errors');
+const { toUserJid } = require('./session');
+
+// ============ SIMULATOR ROUTES ============
+// Drive a simulated session by hand, on top of its fixture script. Only
+// mounted when WA_MODE=simulator; session-scoped like the session routes.
+
+function createSimulatorRouter(simulator, { requireScope, validate }) {
+  const router = express.Router({ mergeParams: true });
+  router.use(requireScope('admin'));
+
+  // The phone scans the QR shown right now
+  router.post('/scan', validate('simulateScan'), (req, res) => {
+    simulator.socketFor(req.waSession.id).scan();
+    res.json({ success: true, message: 'Linked, reconnecting...' });
+  });
+
+  // Drop the connection with a DisconnectReason ({ reason: name or code })
+  router.post('/close', validate('simulateClose'), (req, res) => {
+    simulator.socketFor(req.waSession.id).close(req.body.reason);
+    res.json({ success: true, message: `Closed with ${req.body.reason}` });
+  });
+
+  // Deliver an incoming message ({ chatId, sender, pushName?, text })
+  router.post('/messages', validate('simulateMessage'), (req, res) => {
+    const { chatId, sender, pushName, text } = req.body;
+    if (!req.waSession.isConnected()) {
+      return sendError(req, res, 'NOT_CONNECTED', 'Not connected to WhatsApp');
+    }
+    const type = chatType(chatId);
+    if (!type) {
+      return sendError(req, res, 'INVALID_CHAT_ID', 'Invalid chat ID');
+    }
+    if (type === 'group' && !sender) {
+      return sendError(req, res, 'INVALID_REQUEST', 'sender is required for group messages');
+    }
+
+    const msg = simulator.socketFor(req.waSession.id).receive({
+      chatId,
+      sender: sender ? toUserJid(sender) : chatId,
+      pushName,
+      text
+    });
+    res.status(201).json({ id: msg.key.id, chatId });
+  });
+
+  // Someone votes on a poll ({ pollId, voter, options }; no options takes it back)
+  router.post('/votes', validate('simulateVote'), async (req, res, next) => {
+    const { pollId, voter, options } = req.body;
+    const poll = req.waSession.polls.get(pollId);
+    if (!req.waSession.isConnected()) {
+      return sendError(req, res, 'NOT_CONNECTED', 'Not connected to WhatsApp');
+    }
+    if (!poll) {
+      return sendError(req, res, 'POLL_NOT_FOUND', 'No poll with this message ID');
+    }
+
+    try {
+      const fromMe = !!req.waSession.messageStore.get(poll.chatId, pollId)?.fromMe;
+      const key = { remoteJid: poll.chatId, id: pollId, fromMe };
+      await simulator.socketFor(req.waSession.id).vote(key, { voter: toUserJid(voter), options });
+      res.json(req.waSession.polls.results(pollId));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Someone reacts to a stored message ({ messageId, sender, emoji }; "" takes it back)
+  router.post('/reactions', validate('simulateReaction'), (req, res) => {
+    const { messageId, sender, emoji } = req.body;
+    const message = req.waSession.messageStore.find(messageId);
+    if (!req.waSession.isConnected()) {
+      return sendError(req, res, 'NOT_CONNECTED', 'Not connected to WhatsApp');
+    }
+    if (!message) {
+      return sendError(req, res, 'MESSAGE_NOT_FOUND', 'Message not found');
+    }
+
+    simulator.socketFor(req.waSession.id).react({
+      remoteJid: message.chatId,
+      id: message.id,
+      fromMe: message.fromMe,
+      ...(!message.fromMe && { participant: message.sender })
+    }, { sender: toUserJid(sender), emoji });
+    res.json({ success: true, message: emoji ? `Reacted with ${emoji}` : 'Reaction removed' });
+  });
+
+  return router;
+}
+
+module.exports = { createSimulatorRouter };
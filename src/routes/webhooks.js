@@ -0,0 +1,65 @@
+const express = require('express');
+const { sendError } = require('../errors');
+
+// ============ WEBHOOK ROUTES ============
+
+function createWebhookRouter(webhooks, { requireScope, validate }) {
+  const router = express.Router();
+  router.use(requireScope('admin'));
+
+  // List registered webhook endpoints
+  router.get('/', validate('listWebhooks'), (req, res) => {
+    res.json({ webhooks: webhooks.list() });
+  });
+
+  // Register an endpoint - the signing secret is only returned here
+  router.post('/', validate('createWebhook'), (req, res) => {
+    const endpoint = webhooks.create(req.body || {});
+    res.status(201).json(endpoint);
+  });
+
+  // List deliveries that exhausted their retries
+  router.get('/dead-letters', validate('listDeadLetters'), (req, res) => {
+    const deadLetters = webhooks.deadLetters();
+    res.json({ count: deadLetters.length, deadLetters });
+  });
+
+  // Re-queue a dead letter
+  router.post('/dead-letters/:id/replay', validate('replayDeadLetter'), (req, res) => {
+    const letter = webhooks.replay(req.params.id);
+    if (!letter) return sendError(req, res, 'DEAD_LETTER_NOT_FOUND', 'Dead letter not found');
+    res.json({ success: true, message: 'Delivery re-queued' });
+  });
+
+  // Drop a dead letter
+  router.delete('/dead-letters/:id', validate('discardDeadLetter'), (req, res) => {
+    if (!webhooks.discard(req.params.id)) {
+      return sendError(req, res, 'DEAD_LETTER_NOT_FOUND', 'Dead letter not found');
+    }
+    res.json({ success: true });
+  });
+
+  router.get('/:id', validate('getWebhook'), (req, res) => {
+    const endpoint = webhooks.get(req.params.id);
+    if (!endpoint) return sendError(req, res, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+    res.json(endpoint);
+  });
+
+  // Change url, events or enabled
+  router.patch('/:id', validate('updateWebhook'), (req, res) => {
+    const endpoint = webhooks.update(req.params.id, req.body || {});
+    if (!endpoint) return sendError(req, res, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+    res.json(endpoint);
+  });
+
+  router.delete('/:id', validate('deleteWebhook'), (req, res) => {
+    if (!webhooks.remove(req.params.id)) {
+      return sendError(req, res, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+    }
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRouter };
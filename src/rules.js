@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const { JsonFile } = require('./jsonFile');
+const { tokenize } = require('./searchIndex');
+const { zonedTime, isValidTimezone } = require('./clock');
+const { userPart } = require('./normalize');
+
+// ============ RULES ============
+// Focus rules decide which incoming messages matter. A rule matches when
+// every condition it sets matches; list conditions match on any entry.
+// Rules apply to all sessions and are checked in the order they were
+// created. Our own messages never match.
+
+const ACTIONS = ['important', 'mute', 'alert'];
+const CONDITIONS = ['keywords', 'regex', 'senders', 'chatIds', 'mentionsMe', 'timeOfDay'];
+const MAX_REGEX_LENGTH = 500;
+// Rule regexes run synchronously on every incoming message, so they only
+// see this much of its text
+const MAX_REGEX_TEXT = 4096;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class RuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleError';
+    this.statusCode = 400;
+  }
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.trim());
+}
+
+// A repeated group that itself repeats, like (a+)+ or (\w+\s?)*, can
+// backtrack exponentially on text that almost matches. This rejects that
+// shape (as safe-regex does); it's a heuristic, hence MAX_REGEX_TEXT too.
+function hasNestedQuantifier(pattern) {
+  const groups = [];        // per open group: whether it contains a repeat
+  let closed = false;       // the last token was a group containing a repeat
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\') {
+      i++;
+      closed = false;
+    } else if (c === '[') {
+      // Skip the class; quantifier characters inside it are literals
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+      closed = false;
+    } else if (c === '(') {
+      groups.push(false);
+      if (pattern[i + 1] === '?') i++;   // (?: (?= (?<name> ... - not a quantifier
+      closed = false;
+    } else if (c === ')') {
+      closed = groups.pop() ?? false;
+      if (closed && groups.length) groups[groups.length - 1] = true;
+    } else {
+      // *, + and {n,} or {n,m} with m > 1; ? and {n} don't repeat freely
+      const braces = c === '{' && /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+      const repeats = c === '*' || c === '+'
+        || (braces && braces[2] !== undefined && (braces[3] === '' || Number(braces[3]) > 1));
+      if (repeats) {
+        if (closed) return true;
+        if (groups.length) groups[groups.length - 1] = true;
+      }
+      if (braces) i += braces[0].length - 1;
+      closed = false;
+    }
+  }
+  return false;
+}
+
+// Phone numbers become user JIDs so they compare equal to message.sender
+function toSenderJid(value) {
+  const str = value.trim();
+  return str.includes('@') ? str : `${str.replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+function validateConditions(conditions) {
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    throw new RuleError('conditions must be an object');
+  }
+  const unknown = Object.keys(conditions).filter(k => !CONDITIONS.includes(k));
+  if (unknown.length) throw new RuleError(`Unknown conditions: ${unknown.join(', ')}`);
+  if (!Object.keys(conditions).length) throw new RuleError('At least one condition is required');
+
+  const { keywords, regex, senders, chatIds, mentionsMe, timeOfDay } = conditions;
+  const clean = {};
+
+  if (keywords !== undefined) {
+    if (!isStringList(keywords)) throw new RuleError('keywords must be a non-empty array of strings');
+    if (keywords.some(k => !tokenize(k).length)) throw new RuleError('keywords must contain letters or digits');
+    clean.keywords = keywords.map(k => k.trim());
+  }
+  if (regex !== undefined) {
+    if (typeof regex !== 'string' || !regex || regex.length > MAX_REGEX_LENGTH) {
+      throw new RuleError(`regex must be a string of at most ${MAX_REGEX_LENGTH} characters`);
+    }
+    try {
+      new RegExp(regex, 'iu');
+    } catch (err) {
+      throw new RuleError(`Invalid regex: ${err.message}`);
+    }
+    if (hasNestedQuantifier(regex)) {
+      throw new RuleError('regex must not repeat a group that itself repeats, like (a+)+');
+    }
+    clean.regex = regex;
+  }
+  if (senders !== undefined) {
+    if (!isStringList(senders)) throw new RuleError('senders must be a non-empty array of phone numbers or JIDs');
+    clean.senders = senders.map(toSenderJid);
+  }
+  if (chatIds !== undefined) {
+    if (!isStringList(chatIds)) throw new RuleError('chatIds must be a non-empty array of chat IDs');
+    clean.chatIds = chatIds.map(c => c.trim());
+  }
+  if (mentionsMe !== undefined) {
+    if (mentionsMe !== true) throw new RuleError('mentionsMe can only be true');
+    clean.mentionsMe = true;
+  }
+  if (timeOfDay !== undefined) {
+    const { start, end, timezone } = timeOfDay || {};
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      throw new RuleError('timeOfDay needs start and end as HH:MM');
+    }
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      throw new RuleError(`Unknown timezone: ${timezone}`);
+    }
+    clean.timeOfDay = { start, end, ...(timezone && { timezone }) };
+  }
+  return clean;
+}
+
+function validateActions(actions) {
+  if (!Array.isArray(actions) || !actions.length) {
+    throw new RuleError(`actions must be a non-empty array of: ${ACTIONS.join(', ')}`);
+  }
+  const unknown = actions.filter(a => !ACTIONS.includes(a));
+  if (unknown.length) throw new RuleError(`Unknown actions: ${unknown.join(', ')}`);
+  return [...new Set(actions)];
+}
+
+function minutes(hhmm) {
+  const [, h, m] = hhmm.match(TIME_PATTERN);
+  return Number(h) * 60 + Number(m);
+}
+
+// Conditions prepared once per rule version
+function compile(conditions) {
+  return {
+    keywords: conditions.keywords?.map(k => tokenize(k)),
+    regex: conditions.regex ? new RegExp(conditions.regex, 'iu') : null,
+    senders: conditions.senders ? new Set(conditions.senders) : null,
+    chatIds: conditions.chatIds ? new Set(conditions.chatIds) : null,
+    mentionsMe: !!conditions.mentionsMe,
+    timeOfDay: conditions.timeOfDay && {
+      start: minutes(conditions.timeOfDay.start),
+      end: minutes(conditions.timeOfDay.end),
+      timezone: conditions.timeOfDay.timezone
+    }
+  };
+}
+
+// Keyword phrases must appear as whole, consecutive words
+function containsPhrase(tokens, phrase) {
+  outer:
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    for (let j = 0; j < phrase.length; j++) {
+      if (tokens[i + j] !== phrase[j]) continue outer;
+    }
+    return true;
+  }
+  return false;
+}
+
+function matches(compiled, message, selfUsers) {
+  const text = message.text || '';
+
+  if (compiled.chatIds && !compiled.chatIds.has(message.chatId)) return false;
+  if (compiled.senders && !compiled.senders.has(message.sender)) return false;
+  if (compiled.mentionsMe && !message.mentions.some(jid => selfUsers.has(userPart(jid)))) return false;
+  if (compiled.timeOfDay) {
+    const { start, end, timezone } = compiled.timeOfDay;
+    const now = zonedTime(message.timestamp, timezone).minuteOfDay;
+    // A window like 22:00-07:00 wraps past midnight
+    const inside = start <= end ? now >= start && now < end : now >= start || now < end;
+    if (!inside) return false;
+  }
+  if (compiled.keywords) {
+    const tokens = tokenize(text);
+    if (!compiled.keywords.some(phrase => containsPhrase(tokens, phrase))) return false;
+  }
+  if (compiled.regex && !compiled.regex.test(text.slice(0, MAX_REGEX_TEXT))) return false;
+  return true;
+}
+
+class Rules {
+  constructor(file) {
+    this.store = new JsonFile(file, { rules: [] });
+    this.compiled = new Map();   // ruleId -> compiled conditions
+  }
+
+  get rules() {
+    return this.store.data.rules;
+  }
+
+  list() {
+    return this.rules;
+  }
+
+  get(id) {
+    return this.rules.find(r => r.id === id) || null;
+  }
+
+  create({ name, conditions, actions, enabled = true }) {
+    if (typeof name !== 'string' || !name.trim()) throw new RuleError('name is required');
+    const now = Date.now();
+    const rule = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      enabled: !!enabled,
+      conditions: validateConditions(conditions),
+      actions: validateActions(actions),
+      createdAt: now,
+      updatedAt: now
+    };
+    this.rules.push(rule);
+    this.store.save();
+    return rule;
+  }
+
+  // Replaces whichever of name, conditions, actions and enabled are given
+  update(id, { name, conditions, actions, enabled }) {
+    const rule = this.get(id);
+    if (!rule) return null;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      throw new RuleError('name must be a non-empty string');
+    }
+    const patch = {};
+    if (name !== undefined) patch.name = name.trim();
+    if (conditions !== undefined) patch.conditions = validateConditions(conditions);
+    if (actions !== undefined) patch.actions = validateActions(actions);
+    if (enabled !== undefined) patch.enabled = !!enabled;
+
+    Object.assign(rule, patch, { updatedAt: Date.now() });
+    this.compiled.delete(id);
+    this.store.save();
+    return rule;
+  }
+
+  remove(id) {
+    const before = this.rules.length;
+    this.store.data.rules = this.rules.filter(r => r.id !== id);
+    if (this.rules.length === before) return false;
+    this.compiled.delete(id);
+    this.store.save();
+    return true;
+  }
+
+  /**
+   * Rules the message matches, in rule order.
+   * @param {object} message - normalized message
+   * @param {object} opts
+   * @param {string[]} opts.selfIds - our own JIDs/numbers, for mentionsMe
+   * @returns {{ ruleId: string, name: string, actions: string[] }[]}
+   */
+  evaluate(message, { selfIds = [] } = {}) {
+    if (message.fromMe || message.deleted) return [];
+    const selfUsers = new Set(selfIds.filter(Boolean).map(userPart));
+
+    const result = [];
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+      if (matches(this.compiledFor(rule), message, selfUsers)) {
+        result.push({ ruleId: rule.id, name: rule.name, actions: rule.actions });
+      }
+    }
+    return result;
+  }
+
+  compiledFor(rule) {
+    let entry = this.compiled.get(rule.id);
+    if (!entry) {
+      entry = compile(rule.conditions);
+      this.compiled.set(rule.id, entry);
+    }
+    return entry;
+  }
+
+  flush() {
+    this.store.flush();
+  }
+}
+
+module.exports = { Rules, RuleError, ACTIONS };
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { JsonFile } = require('./jsonFile');
+const { logger: rootLogger } = require('./logger');
+const { parseCron, nextRun, CronError } = require('./cron');
+const { isValidTimezone } = require('./clock');
+
+// ============ SCHEDULES ============
+// Messages to send later, once (`runAt`) or on a cron expression. Due
+// schedules hand their content to the outbox. A run that was missed
+// because the server was down happens as soon as it is back - once,
+// even if several cron occurrences were missed - and is recorded as a
+// misfire in the run history.
+
+const MAX_TIMER_MS = 60 * 60 * 1000;   // re-check at least hourly
+const MISFIRE_GRACE_MS = 60 * 1000;
+const KEEP_RUNS = 1000;
+const KEEP_FINISHED = 500;
+
+class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.statusCode = 400;
+  }
+}
+
+function parseRunAt(value) {
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new ScheduleError('runAt must be an ISO date or unix milliseconds');
+  return ms;
+}
+
+class Schedules {
+  /**
+   * @param {string} file
+   * @param {object} opts
+   * @param {(chatId: string, content: object) => string} opts.deliver - queues the content, returns the outbox job ID
+   * @param {import('pino').Logger} [opts.logger]
+   */
+  constructor(file, { deliver, logger = rootLogger }) {
+    this.logger = logger.child({ module: 'schedules' });
+    this.deliver = deliver;
+    this.store = new JsonFile(file, { schedules: [], runs: [] });
+    this.timer = null;
+  }
+
+  get schedules() {
+    return this.store.data.schedules;
+  }
+
+  list({ status } = {}) {
+    return status ? this.schedules.filter(s => s.status === status) : this.schedules;
+  }
+
+  get(id) {
+    return this.schedules.find(s => s.id === id) || null;
+  }
+
+  runs(scheduleId) {
+    return this.store.data.runs.filter(r => r.scheduleId === scheduleId).reverse();
+  }
+
+  /**
+   * @param {object} opts
+   * @param {string} opts.chatId
+   * @param {{ text: string, mentions?: string[] }} opts.content
+   * @param {number|string} [opts.runAt] - one-off
+   * @param {string} [opts.cron] - recurring
+   * @param {string} [opts.timezone] - for cron, server time if omitted
+   */
+  create({ chatId, content, runAt, cron, timezone, name }) {
+    if (typeof chatId !== 'string' || !chatId.includes('@')) {
+      throw new ScheduleError('chatId is required');
+    }
+    if (typeof content?.text !== 'string' || !content.text.trim()) {
+      throw new ScheduleError('content.text is required');
+    }
+    if ((runAt === undefined) === (cron === undefined)) {
+      throw new ScheduleError('Give exactly one of runAt or cron');
+    }
+    if (timezone !== undefined && cron === undefined) {
+      throw new ScheduleError('timezone only applies to cron schedules');
+    }
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      throw new ScheduleError(`Unknown timezone: ${timezone}`);
+    }
+
+    const now = Date.now();
+    let nextRunAt;
+    if (cron !== undefined) {
+      try {
+        nextRunAt = nextRun(parseCron(cron), now, timezone);
+      } catch (err) {
+        if (err instanceof CronError) throw new ScheduleError(err.message);
+        throw err;
+      }
+      if (nextRunAt === null) throw new ScheduleError('cron expression never matches');
+    } else {
+      nextRunAt = parseRunAt(runAt);
+      if (nextRunAt <= now) throw new ScheduleError('runAt must be in the future');
+    }
+
+    const schedule = {
+      id: crypto.randomUUID(),
+      name: name || null,
+      chatId,
+      content,
+      runAt: cron === undefined ? nextRunAt : null,
+      cron: cron === undefined ? null : cron,
+      timezone: timezone || null,
+      status: 'active',
+      nextRunAt,
+      lastRunAt: null,
+      runCount: 0,
+      createdAt: now
+    };
+    this.schedules.push(schedule);
+    this.store.save();
+    this.arm();
+    return schedule;
+  }
+
+  cancel(id) {
+    const schedule = this.get(id);
+    if (!schedule) return null;
+    if (schedule.status === 'active') {
+      schedule.status = 'cancelled';
+      schedule.nextRunAt = null;
+      this.store.save();
+      this.arm();
+    }
+    return schedule;
+  }
+
+  start() {
+    this.arm();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Sleep until the earliest active schedule is due
+  arm() {
+    clearTimeout(this.timer);
+    const next = Math.min(...this.list({ status: 'active' }).map(s => s.nextRunAt));
+    if (!Number.isFinite(next)) {
+      this.timer = null;
+      return;
+    }
+    const delay = Math.min(Math.max(next - Date.now(), 0), MAX_TIMER_MS);
+    this.timer = setTimeout(() => this.runDue(), delay);
+    this.timer.unref?.();
+  }
+
+  runDue() {
+    const now = Date.now();
+    for (const schedule of this.list({ status: 'active' })) {
+      if (schedule.nextRunAt <= now) this.run(schedule, now);
+    }
+    this.prune();
+    // Write right away so a crash can't replay these runs
+    this.store.flush();
+    this.arm();
+  }
+
+  run(schedule, now) {
+    const misfire = now - schedule.nextRunAt > MISFIRE_GRACE_MS;
+    const run = {
+      id: crypto.randomUUID(),
+      scheduleId: schedule.id,
+      chatId: schedule.chatId,
+      scheduledFor: schedule.nextRunAt,
+      ranAt: now,
+      misfire,
+      status: 'queued',
+      jobId: null,
+      error: null
+    };
+
+    try {
+      run.jobId = this.deliver(schedule.chatId, schedule.content);
+    } catch (err) {
+      run.status = 'failed';
+      run.error = err.message;
+    }
+    if (misfire) {
+      this.logger.warn({ scheduleId: schedule.id, scheduledFor: new Date(run.scheduledFor).toISOString() }, '⏰ Schedule missed, sending now');
+    }
+
+    this.store.data.runs.push(run);
+    schedule.lastRunAt = now;
+    schedule.runCount++;
+    if (schedule.cron) {
+      // Missed occurrences collapse into this run; continue from now
+      schedule.nextRunAt = nextRun(parseCron(schedule.cron), now, schedule.timezone || undefined);
+      if (schedule.nextRunAt === null) schedule.status = 'completed';
+    } else {
+      schedule.nextRunAt = null;
+      schedule.status = 'completed';
+    }
+  }
+
+  // Keep the run log and the list of finished schedules bounded
+  prune() {
+    const runs = this.store.data.runs;
+    if (runs.length > KEEP_RUNS) runs.splice(0, runs.length - KEEP_RUNS);
+
+    const finished = this.schedules.filter(s => s.status !== 'active');
+    const excess = finished.length - KEEP_FINISHED;
+    if (excess > 0) {
+      const drop = new Set(finished.slice(0, excess));
+      this.store.data.schedules = this.schedules.filter(s => !drop.has(s));
+    }
+  }
+
+  flush() {
+    this.store.flush();
+  }
+}
+
+module.exports = { Schedules, ScheduleError };
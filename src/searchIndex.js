@@ -0,0 +1,219 @@
+const fs = require('fs');
+const { JsonFile } = require('./jsonFile');
+
+// ============ SEARCH INDEX ============
+// Inverted index over message text, captions and document file names,
+// persisted next to the message store and updated as messages arrive.
+// Ranking is BM25; every query term must match (as a whole word or a
+// word prefix).
+
+const INDEX_VERSION = 2;
+const SAVE_DELAY_MS = 5000;
+const K1 = 1.2;
+const B = 0.75;
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 2;
+const SNIPPET_RADIUS = 60;
+
+// Lowercase and drop diacritics (including Hebrew/Arabic vowel marks)
+function fold(text) {
+  return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function tokenize(text) {
+  return fold(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function searchableText(message) {
+  return [message.text, message.media?.fileName].filter(Boolean).join(' ');
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+function isEmpty(object) {
+  for (const key in object) return false;
+  return true;
+}
+
+class SearchIndex {
+  constructor(file) {
+    this.store = new JsonFile(file, { version: INDEX_VERSION, docs: {}, postings: {} }, { delay: SAVE_DELAY_MS });
+    this.isNew = !fs.existsSync(file) || this.store.data.version !== INDEX_VERSION;
+    if (this.store.data.version !== INDEX_VERSION) {
+      this.store.data = { version: INDEX_VERSION, docs: {}, postings: {} };
+    }
+  }
+
+  get docs() {
+    return this.store.data.docs;
+  }
+
+  get postings() {
+    return this.store.data.postings;
+  }
+
+  // (Re)index one message. Deleted and empty messages are removed.
+  add(message) {
+    this.remove(message.id, { save: false });
+
+    const tokens = message.deleted ? [] : tokenize(searchableText(message));
+    if (tokens.length) {
+      const counts = {};
+      for (const token of tokens) counts[token] = (counts[token] || 0) + 1;
+      this.docs[message.id] = {
+        chatId: message.chatId,
+        sender: message.sender,
+        timestamp: message.timestamp,
+        hasMedia: !!message.media,
+        length: tokens.length,
+        // So removal only touches this doc's postings
+        terms: Object.keys(counts)
+      };
+      for (const [token, tf] of Object.entries(counts)) {
+        (this.postings[token] ||= {})[message.id] = tf;
+      }
+    }
+    this.store.save();
+  }
+
+  remove(id, { save = true } = {}) {
+    this.removeMany([id], { save });
+  }
+
+  removeMany(ids, { save = true } = {}) {
+    let removed = false;
+    for (const id of ids) {
+      const doc = this.docs[id];
+      if (!doc) continue;
+      for (const token of doc.terms) {
+        const docs = this.postings[token];
+        if (!docs) continue;
+        delete docs[id];
+        if (isEmpty(docs)) delete this.postings[token];
+      }
+      delete this.docs[id];
+      removed = true;
+    }
+    if (removed && save) this.store.save();
+  }
+
+  // Rebuild from scratch, e.g. on first start after upgrading
+  rebuild(messages) {
+    this.store.data = { version: INDEX_VERSION, docs: {}, postings: {} };
+    for (const message of messages) this.add(message);
+    this.store.flush();
+    this.isNew = false;
+  }
+
+  /**
+   * @param {string} query
+   * @param {object} filters - chatId, sender, from, to (ms), hasMedia
+   * @returns {{ id: string, score: number, terms: string[] }[]} best first
+   */
+  search(query, { chatId, sender, from, to, hasMedia } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (!queryTerms.length) return [];
+
+    const docIds = Object.keys(this.docs);
+    const total = docIds.length || 1;
+    const avgLength = docIds.reduce((sum, id) => sum + this.docs[id].length, 0) / total;
+    const vocabulary = Object.keys(this.postings);
+
+    const scores = new Map();   // docId -> { score, terms }
+    let first = true;
+
+    for (const term of queryTerms) {
+      // Exact word, plus any word it's a prefix of
+      const matches = [[term, 1]];
+      if (term.length >= MIN_PREFIX_LENGTH) {
+        for (const word of vocabulary) {
+          if (word !== term && word.startsWith(term)) matches.push([word, PREFIX_WEIGHT]);
+        }
+      }
+
+      const termScores = new Map();
+      for (const [word, weight] of matches) {
+        const posting = this.postings[word];
+        if (!posting) continue;
+        const df = Object.keys(posting).length;
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+
+        for (const [docId, tf] of Object.entries(posting)) {
+          const doc = this.docs[docId];
+          const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+          const entry = termScores.get(docId) || { score: 0, words: [] };
+          entry.score += weight * idf * norm;
+          entry.words.push(word);
+          termScores.set(docId, entry);
+        }
+      }
+
+      // AND: keep only docs that matched every term so far
+      if (first) {
+        for (const [docId, { score, words }] of termScores) scores.set(docId, { score, terms: words });
+        first = false;
+      } else {
+        for (const [docId, entry] of scores) {
+          const match = termScores.get(docId);
+          if (!match) {
+            scores.delete(docId);
+          } else {
+            entry.score += match.score;
+            entry.terms.push(...match.words);
+          }
+        }
+      }
+    }
+
+    const results = [];
+    for (const [id, { score, terms }] of scores) {
+      const doc = this.docs[id];
+      if (chatId && doc.chatId !== chatId) continue;
+      if (sender && doc.sender !== sender) continue;
+      if (from && doc.timestamp < from) continue;
+      if (to && doc.timestamp > to) continue;
+      if (hasMedia !== undefined && doc.hasMedia !== hasMedia) continue;
+      results.push({ id, score, timestamp: doc.timestamp, terms });
+    }
+
+    // Best score first; newer wins a tie
+    return results.sort((a, b) => b.score - a.score || b.timestamp - a.timestamp);
+  }
+
+  flush() {
+    this.store.flush();
+  }
+}
+
+/**
+ * HTML-escaped excerpt around the first matched word, with every matched
+ * word wrapped in <mark>.
+ */
+function highlight(message, terms) {
+  const text = searchableText(message);
+  const wanted = new Set(terms);
+  const words = [...text.matchAll(/[\p{L}\p{N}\p{M}]+/gu)]
+    .filter(m => wanted.has(fold(m[0])));
+  if (!words.length) return escapeHtml(text.slice(0, SNIPPET_RADIUS * 2));
+
+  const start = Math.max(words[0].index - SNIPPET_RADIUS, 0);
+  const end = Math.min(words[0].index + words[0][0].length + SNIPPET_RADIUS, text.length);
+
+  let out = start > 0 ? '…' : '';
+  let pos = start;
+  for (const m of words) {
+    if (m.index < pos) continue;
+    if (m.index + m[0].length > end) break;
+    out += escapeHtml(text.slice(pos, m.index)) + '<mark>' + escapeHtml(m[0]) + '</mark>';
+    pos = m.index + m[0].length;
+  }
+  out += escapeHtml(text.slice(pos, end));
+  if (end < text.length) out += '…';
+  return out;
+}
+
+module.exports = { SearchIndex, highlight, tokenize };
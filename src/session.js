@@ -0,0 +1,811 @@
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const {
+  isJidGroup,
+  jidNormalizedUser,
+  normalizeMessageContent,
+  toNumber,
+  WAMessageStubType
+} = require('@whiskeysockets/baileys');
+const { MessageStore } = require('./messageStore');
+const { normalizeMessage, extractText, mediaContent, messageSecret } = require('./normalize');
+const { Outbox } = require('./outbox');
+const { MediaCache } = require('./mediaCache');
+const { SearchIndex } = require('./searchIndex');
+const { Digests } = require('./digests');
+const { Schedules } = require('./schedules');
+const { Groups } = require('./groups');
+const { Polls } = require('./polls');
+const { ChatActions } = require('./chatActions');
+const { ChatStore } = require('./chatStore');
+const { GroupCache } = require('./groupCache');
+const { ReconnectController } = require('./reconnect');
+const { createBaileysSocket } = require('./socket');
+const { ChatArchiveError, readExport, parseExport, toMessages, dedupeKey } = require('./chatArchive');
+
+// ============ SESSION ============
+// One linked WhatsApp account: its own auth state, socket, reconnect
+// controller, message store and outbox. Everything it publishes is tagged
+// with the session ID.
+
+// WhatsApp doesn't tell us when a pairing code stops working; codes are
+// accepted for a few minutes, after which we fall back to the QR
+const PAIRING_CODE_TTL_MS = 3 * 60 * 1000;
+const STATUS_HISTORY_SIZE = 100;
+
+class SessionError extends Error {
+  constructor(message, statusCode = 400, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+class Session {
+  /**
+   * @param {object} opts
+   * @param {string} opts.id
+   * @param {string} opts.name
+   * @param {import('./authState').AuthStore} opts.authStore - credentials and signal keys
+   * @param {string} opts.dataDir - messages, outbox
+   * @param {import('pino').Logger} opts.logger - tagged with the session ID here
+   * @param {number} opts.messageRetention
+   * @param {number} opts.mediaCacheBytes
+   * @param {import('./rules').Rules} opts.rules - shared focus rules
+   * @param {(type: string, data: object) => void} opts.onEvent
+   * @param {Function} [opts.createSocket] - socket factory from src/socket.js
+   */
+  constructor({ id, name, authStore, dataDir, logger, messageRetention, mediaCacheBytes, rules, onEvent, createSocket = createBaileysSocket }) {
+    this.id = id;
+    this.name = name;
+    this.authStore = authStore;
+    this.createSocket = createSocket;
+    this.dataDir = dataDir;
+    this.logger = logger.child({ sessionId: id });
+    this.rules = rules;
+    this.onEvent = onEvent;
+
+    this.sock = null;
+    this.qrCode = null;
+    this.status = 'initializing';
+    this.statusSince = Date.now();
+    this.statusHistory = [];      // newest last, at most STATUS_HISTORY_SIZE
+    this.userInfo = null;
+    this.stopped = false;
+    this.connecting = false;      // guards against overlapping connect() calls
+    this.reconnect = new ReconnectController({
+      connect: () => this.connect(),
+      logger: this.logger
+    });
+    this.pairing = null;          // { phoneNumber, code, requestedAt, expiresAt }
+    this.pairingTimer = null;
+    // Counters for /metrics; they reset when the server restarts
+    this.stats = {
+      reconnectAttempts: 0,
+      disconnects: {},            // DisconnectReason status code -> count
+      messagesReceived: 0,
+      messagesSent: 0,
+      messagesFailed: 0
+    };
+
+    this.messageStore = new MessageStore(path.join(dataDir, 'messages'), {
+      retention: messageRetention,
+      onTrim: (ids) => this.search.removeMany(ids)
+    });
+    this.chats = new ChatStore(path.join(dataDir, 'chats.json'));
+    this.groupCache = new GroupCache(path.join(dataDir, 'groups.json'), {
+      selfIds: () => this.selfIds()
+    });
+    this.outbox = new Outbox(path.join(dataDir, 'outbox.json'), {
+      send: (job) => this.sendOutboxJob(job),
+      isReady: () => this.isConnected(),
+      logger: this.logger,
+      onSettled: (job) => {
+        if (job.status === 'sent') this.stats.messagesSent++;
+        else this.stats.messagesFailed++;
+        this.cleanupOutboxJob(job);
+      }
+    });
+    this.media = new MediaCache(path.join(dataDir, 'media'), {
+      maxBytes: mediaCacheBytes
+    });
+    this.polls = new Polls(path.join(dataDir, 'polls.json'));
+    this.search = new SearchIndex(path.join(dataDir, 'search-index.json'));
+    if (this.search.isNew) {
+      this.search.rebuild(this.messageStore.all());
+    }
+    this.digests = new Digests(path.join(dataDir, 'digests.json'), {
+      messageStore: this.messageStore,
+      selfIds: () => this.selfIds(),
+      // Same names as chat exports
+      displayName: (jid, pushName) => this.chats.displayName(jid, pushName),
+      selfName: () => this.userInfo?.name || 'You',
+      subjectOf: async (chatId) => this.groupCache.get(chatId)?.subject
+        || (this.isConnected() ? (await this.sock.groupMetadata(chatId)).subject : null),
+      deliver: (chatId, text) => this.outbox.enqueue(chatId, { text, quotedId: null, mentions: [] }).id,
+      logger: this.logger
+    });
+    this.digests.start();
+    this.schedules = new Schedules(path.join(dataDir, 'schedules.json'), {
+      deliver: (chatId, content) => this.outbox.enqueue(chatId, { quotedId: null, mentions: [], ...content }).id,
+      logger: this.logger
+    });
+    this.schedules.start();
+    this.groups = new Groups({
+      socket: () => this.isConnected() ? this.sock : null,
+      selfIds: () => this.selfIds(),
+      onMetadata: (metadata) => this.groupCache.upsert(metadata)
+    });
+    this.chatActions = new ChatActions({
+      socket: () => this.isConnected() ? this.sock : null,
+      chats: this.chats,
+      messageStore: this.messageStore
+    });
+  }
+
+  isConnected() {
+    return this.status === 'connected' && this.sock !== null;
+  }
+
+  // Our own JIDs (phone and LID) while logged in
+  selfIds() {
+    return [this.sock?.user?.id, this.sock?.user?.lid].filter(Boolean);
+  }
+
+  // ===== STATE =====
+
+  publish(type, data) {
+    this.onEvent(type, { sessionId: this.id, ...data });
+  }
+
+  // Single place the status changes, so every transition is published
+  setStatus(status, error = null) {
+    if (status === this.status) return;
+    const previous = this.status;
+    this.status = status;
+    this.statusSince = Date.now();
+    this.statusHistory.push({ status, previous, at: this.statusSince, error });
+    if (this.statusHistory.length > STATUS_HISTORY_SIZE) this.statusHistory.shift();
+    this.publish('connection.update', { status, previous, user: this.userInfo, error });
+  }
+
+  setUserInfo(user) {
+    if (JSON.stringify(user) === JSON.stringify(this.userInfo)) return;
+    this.userInfo = user;
+    this.publish('user.update', { user });
+  }
+
+  setQrCode(qr) {
+    if (qr === this.qrCode) return;
+    this.qrCode = qr;
+    this.publish('qr.update', { qr });
+  }
+
+  snapshot() {
+    return {
+      sessionId: this.id,
+      name: this.name,
+      status: this.status,
+      connected: this.status === 'connected',
+      hasQR: this.qrCode !== null,
+      qr: this.qrCode,
+      user: this.userInfo,
+      pairing: this.pairing
+    };
+  }
+
+  // ===== CONNECTION =====
+
+  async connect() {
+    if (this.stopped || this.connecting) return;
+    this.connecting = true;
+    this.reconnect.cancel();
+    // Never run two sockets for one account
+    this.closeSocket();
+    this.logger.info('🚀 Starting WhatsApp connection...');
+
+    this.setQrCode(null);
+    this.setStatus('connecting');
+
+    try {
+      // Load auth state
+      const { state, saveCreds } = await this.authStore.useAuthState(this.id);
+
+      const sock = await this.createSocket({
+        sessionId: this.id,
+        state,
+        logger: this.logger,
+        // Saves a groupMetadata() round trip for every message sent to a group
+        cachedGroupMetadata: async (jid) => this.groupCache.get(jid) || undefined,
+        // Baileys needs a poll's creation message to decrypt its votes
+        getMessage: async (key) => this.polls.creationMessage(key.id)
+      });
+      if (this.stopped) {
+        this.connecting = false;
+        try { sock.end(); } catch (e) {}
+        return;
+      }
+      this.sock = sock;
+      this.connecting = false;
+
+      // ===== CONNECTION EVENTS =====
+      sock.ev.on('connection.update', async (update) => {
+        const { connection, lastDisconnect, qr } = update;
+
+        this.logger.debug({ connection, hasQr: !!qr }, 'Connection update');
+
+        // QR Code received
+        if (qr) {
+          this.logger.info('📲 QR Code generated - scan with WhatsApp!');
+          try {
+            this.setQrCode(await QRCode.toDataURL(qr));
+          } catch (err) {
+            this.logger.error({ err }, 'Failed to generate QR');
+          }
+          // The QR stays usable as a fallback while a pairing code is pending
+          if (!this.pairing) this.setStatus('waiting_for_scan');
+        }
+
+        // Connection opened
+        if (connection === 'open') {
+          this.logger.info('✅ Connected to WhatsApp!');
+          this.reconnect.connected();
+          this.clearPairing('linked');
+          this.setQrCode(null);
+          this.setUserInfo({
+            name: sock.user?.name || 'Unknown',
+            id: sock.user?.id?.split(':')[0] || 'Unknown'
+          });
+          this.setStatus('connected');
+          this.logger.info({ user: this.userInfo }, '👤 Logged in');
+
+          // Deliver anything queued while we were offline
+          this.outbox.kick();
+          this.refreshGroups().catch(err => this.logger.error({ err }, 'Group metadata fetch failed'));
+          this.chatActions.resubscribe().catch(err => this.logger.warn({ err }, 'Presence resubscribe failed'));
+        }
+
+        // Connection closed
+        if (connection === 'close') {
+          // Sockets we replaced or closed ourselves are none of our business
+          if (this.sock !== sock) return;
+          this.sock = null;
+
+          const error = lastDisconnect?.error;
+          const statusCode = error?.output?.statusCode;
+          const reason = statusCode ?? 'none';
+          this.stats.disconnects[reason] = (this.stats.disconnects[reason] || 0) + 1;
+
+          // A code is tied to the socket that requested it
+          this.clearPairing('connection_closed');
+          this.setQrCode(null);
+          this.setUserInfo(null);
+          this.setStatus('disconnected', error ? { code: statusCode, message: error.message } : null);
+          if (this.stopped) return;
+
+          const action = this.reconnect.closed(statusCode, error?.message);
+          this.logger.warn({ code: statusCode, error: error?.message, next: action }, '🔌 Connection closed');
+
+          if (action === 'logout') {
+            this.logger.warn('🚪 Logged out - clearing session...');
+            this.clearAuthState();
+          }
+          if (action === 'needs_relink') {
+            this.logger.warn('🧨 Credentials look corrupt - not retrying until /restart, /auth/import or a new link');
+          }
+          if (action === 'restart' || action === 'backoff') this.stats.reconnectAttempts++;
+        }
+      });
+
+      // ===== CREDENTIALS UPDATE =====
+      sock.ev.on('creds.update', saveCreds);
+
+      // ===== MESSAGE EVENTS =====
+      sock.ev.on('messages.upsert', ({ messages, type }) => {
+        for (const msg of messages) {
+          const message = normalizeMessage(msg, { selfJid: sock.user?.id });
+          if (!message) continue;
+          if (type === 'notify' && !message.fromMe) this.stats.messagesReceived++;
+          // Every chat gets a preview; only groups are stored in full
+          this.chats.recordMessage(message);
+          if (!isJidGroup(message.chatId)) continue;
+          Object.assign(message, this.evaluateRules(message));
+          this.search.add(this.messageStore.upsert(message));
+          if (message.media) this.media.remember(message, mediaContent(msg));
+          if (message.poll) this.polls.record(message, messageSecret(msg));
+          // 'append' is history/own-device sync, only 'notify' is new
+          if (type === 'notify') this.notifyMessage(message);
+        }
+      });
+
+      sock.ev.on('messages.update', (updates) => {
+        for (const { key, update } of updates) {
+          if (!isJidGroup(key?.remoteJid)) continue;
+          this.applyMessageUpdate(key, update);
+        }
+      });
+
+      sock.ev.on('messages.reaction', (reactions) => {
+        for (const { key, reaction } of reactions) {
+          if (!isJidGroup(key?.remoteJid)) continue;
+          this.applyReaction(key, reaction);
+        }
+      });
+
+      sock.ev.on('messages.delete', (item) => {
+        if ('all' in item) {
+          if (isJidGroup(item.jid)) {
+            this.search.removeMany(this.messageStore.clearChat(item.jid));
+          }
+          return;
+        }
+        for (const key of item.keys) {
+          if (isJidGroup(key.remoteJid)) {
+            this.messageStore.markDeleted(key.remoteJid, key.id);
+            this.search.remove(key.id);
+          }
+        }
+      });
+
+      // ===== CHAT & CONTACT SYNC =====
+      sock.ev.on('messaging-history.set', ({ chats, contacts }) => {
+        if (chats?.length) this.chats.upsertChats(chats);
+        if (contacts?.length) this.chats.upsertContacts(contacts);
+      });
+
+      sock.ev.on('chats.upsert', (chats) => this.chats.upsertChats(chats));
+      sock.ev.on('chats.update', (updates) => this.chats.updateChats(updates));
+      sock.ev.on('chats.delete', (ids) => this.chats.deleteChats(ids));
+      sock.ev.on('contacts.upsert', (contacts) => this.chats.upsertContacts(contacts));
+      sock.ev.on('contacts.update', (updates) => this.chats.upsertContacts(updates));
+
+      // ===== PRESENCE =====
+      sock.ev.on('presence.update', (update) => this.chatActions.recordPresence(update));
+
+      // ===== GROUP EVENTS =====
+      sock.ev.on('groups.upsert', (groups) => {
+        for (const metadata of groups) this.groupCache.upsert(metadata);
+        this.chats.noteGroups(groups);
+      });
+
+      sock.ev.on('group-participants.update', ({ id, author, participants, action }) => {
+        this.groupCache.applyParticipants({ id, participants, action });
+        this.publish('group.participants.update', { chatId: id, author, participants, action });
+      });
+
+      sock.ev.on('groups.update', (updates) => {
+        this.groupCache.applyUpdates(updates);
+        this.chats.noteGroups(updates.filter(u => u.subject));
+        for (const { id, ...changes } of updates) {
+          this.publish('group.update', { chatId: id, changes });
+        }
+      });
+
+    } catch (err) {
+      this.logger.error({ err }, '❌ Connection error');
+      this.connecting = false;
+      this.setStatus('error', { message: err.message });
+      if (this.reconnect.failed(err) === 'backoff') this.stats.reconnectAttempts++;
+    }
+  }
+
+  // Edits, revokes and decrypted poll votes arrive as updates to an
+  // already stored message
+  applyMessageUpdate(key, update) {
+    if (update.pollUpdates) {
+      this.applyPollUpdates(key, update.pollUpdates);
+      return;
+    }
+    if (update.message === null || update.messageStubType === WAMessageStubType.REVOKE) {
+      this.messageStore.markDeleted(key.remoteJid, key.id);
+      this.search.remove(key.id);
+      return;
+    }
+
+    const edited = update.message?.editedMessage?.message;
+    if (edited) {
+      const message = this.messageStore.update(key.remoteJid, key.id, {
+        text: extractText(normalizeMessageContent(edited)),
+        edited: true
+      });
+      if (!message) return;
+      // Re-tag with the new text; alerts only fire on arrival
+      this.messageStore.update(key.remoteJid, key.id, this.evaluateRules(message));
+      this.search.add(message);
+    }
+  }
+
+  // Reactions are kept per reactor: { [jid]: emoji }. An empty emoji
+  // means the reaction was taken back.
+  applyReaction(key, reaction) {
+    const message = this.messageStore.get(key.remoteJid, key.id);
+    const reactorJid = reaction.key?.fromMe
+      ? this.sock?.user?.id
+      : reaction.key?.participant || reaction.key?.remoteJid;
+    if (!message || !reactorJid) return;
+
+    const reactions = { ...message.reactions };
+    const reactor = jidNormalizedUser(reactorJid);
+    if (reaction.text) {
+      reactions[reactor] = reaction.text;
+    } else {
+      delete reactions[reactor];
+    }
+    this.messageStore.update(key.remoteJid, key.id, { reactions, reactionCounts: countReactions(reactions) });
+  }
+
+  // Publishes the new tallies whenever a vote changes them
+  applyPollUpdates(key, pollUpdates) {
+    for (const { pollUpdateMessageKey, vote, senderTimestampMs } of pollUpdates) {
+      const voterJid = pollUpdateMessageKey?.fromMe
+        ? this.sock?.user?.id
+        : pollUpdateMessageKey?.participant || pollUpdateMessageKey?.remoteJid;
+      if (!voterJid) continue;
+
+      const voter = jidNormalizedUser(voterJid);
+      const selected = this.polls.vote(key.id, voter, vote?.selectedOptions || [], toNumber(senderTimestampMs || 0));
+      if (!selected) continue;
+
+      this.logger.debug({ pollId: key.id, voter, selected }, '🗳️  Poll vote');
+      if (this.messageStore.get(key.remoteJid, key.id)?.muted) continue;
+      this.publish('poll.update', {
+        chatId: key.remoteJid,
+        messageId: key.id,
+        voter,
+        selected,
+        results: this.polls.results(key.id)
+      });
+    }
+  }
+
+  // ===== FOCUS RULES =====
+
+  // Fields stored on every message: what matched and the combined effect
+  evaluateRules(message) {
+    const matches = this.rules.evaluate(message, { selfIds: this.selfIds() });
+    const has = (action) => matches.some(m => m.actions.includes(action));
+    return {
+      ruleMatches: matches,
+      important: has('important'),
+      // Important wins if rules disagree
+      muted: has('mute') && !has('important')
+    };
+  }
+
+  // Muted messages are stored but not pushed to subscribers
+  notifyMessage(message) {
+    if (!message.muted) this.publish('message.new', message);
+    for (const match of message.ruleMatches) {
+      if (!match.actions.includes('alert')) continue;
+      this.publish('rule.alert', {
+        chatId: message.chatId,
+        ruleId: match.ruleId,
+        name: match.name,
+        message
+      });
+    }
+  }
+
+  // ===== PAIRING CODE =====
+
+  /**
+   * Link by phone number instead of QR: WhatsApp shows a notification on
+   * that phone asking for the returned 8-character code. Calling it again
+   * replaces the pending code.
+   */
+  async requestPairingCode(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    if (digits.length < 7 || digits.length > 15) {
+      throw new SessionError('phoneNumber must be a full international number, e.g. 972501234567');
+    }
+    if (this.status === 'connected') {
+      throw new SessionError('Already connected to WhatsApp', 409, 'ALREADY_CONNECTED');
+    }
+    if (this.sock?.authState?.creds?.registered) {
+      throw new SessionError('This session is already linked - restart it instead', 409, 'ALREADY_LINKED');
+    }
+    // Baileys can only request a code once the socket is up, which is
+    // when the first QR arrives
+    if (!this.sock || !this.qrCode) {
+      throw new SessionError('Connection not ready for pairing yet, retry in a few seconds', 503, 'NOT_READY');
+    }
+
+    const code = await this.sock.requestPairingCode(digits);
+    const now = Date.now();
+    this.pairing = {
+      phoneNumber: digits,
+      code,
+      requestedAt: now,
+      expiresAt: now + PAIRING_CODE_TTL_MS
+    };
+
+    clearTimeout(this.pairingTimer);
+    this.pairingTimer = setTimeout(() => this.clearPairing('expired'), PAIRING_CODE_TTL_MS);
+    this.pairingTimer.unref?.();
+
+    this.logger.info({ phoneNumber: digits }, '🔢 Pairing code requested');
+    this.publish('pairing.update', { ...this.pairing, reason: 'requested' });
+    this.setStatus('waiting_for_pairing_code');
+    return this.pairing;
+  }
+
+  // Drop the pending code and go back to the QR flow
+  clearPairing(reason) {
+    if (!this.pairing) return false;
+    clearTimeout(this.pairingTimer);
+    this.pairingTimer = null;
+    this.pairing = null;
+
+    this.logger.info({ reason }, '🔢 Pairing code cleared');
+    this.publish('pairing.update', { code: null, reason });
+    if (this.status === 'waiting_for_pairing_code') {
+      this.setStatus(this.qrCode ? 'waiting_for_scan' : 'connecting');
+    }
+    return true;
+  }
+
+  // Log out and unlink this device
+  async logout() {
+    if (!this.sock) return false;
+    await this.sock.logout();
+    this.setQrCode(null);
+    this.setUserInfo(null);
+    this.setStatus('disconnected');
+    return true;
+  }
+
+  // Drop the socket and connect again
+  restart() {
+    this.logger.info('🔄 Manual restart requested');
+    this.closeSocket();
+    this.setQrCode(null);
+    this.setUserInfo(null);
+    this.setStatus('disconnected');
+    // A manual restart also closes the circuit breaker
+    this.reconnect.reset(500);
+  }
+
+  // Stop for good (session is being deleted)
+  stop() {
+    this.stopped = true;
+    this.reconnect.cancel();
+    clearTimeout(this.pairingTimer);
+    this.digests.stop();
+    this.schedules.stop();
+    this.closeSocket();
+    this.flush();
+  }
+
+  /**
+   * Server exit: publish `shutting_down`, let the sends under way finish,
+   * then close the socket without logging out so the next start resumes
+   * with the same credentials. Queued messages stay in the outbox.
+   */
+  async shutdown() {
+    this.setStatus('shutting_down');
+    this.stopped = true;
+    this.reconnect.cancel();
+    clearTimeout(this.pairingTimer);
+    this.digests.stop();
+    this.schedules.stop();
+    await this.outbox.close();
+    this.closeSocket();
+    this.flush();
+    this.logger.info({ queued: this.outbox.pending().length }, '💾 Session saved');
+  }
+
+  // Write every store now instead of on its debounce
+  flush() {
+    this.messageStore.flush();
+    this.chats.flush();
+    this.outbox.flush();
+    this.media.flush();
+    this.search.flush();
+    this.polls.flush();
+    this.digests.flush();
+    this.schedules.flush();
+    this.groupCache.flush();
+  }
+
+  // Detach first, so the close event isn't taken for a disconnect
+  closeSocket() {
+    const sock = this.sock;
+    if (!sock) return;
+    this.sock = null;
+    try { sock.end(); } catch (e) {}
+  }
+
+  // One full fetch of every group we're in; WhatsApp throttles this, so
+  // it runs once per connection and on an explicit refresh
+  async refreshGroups() {
+    const groups = await this.sock.groupFetchAllParticipating();
+    this.groupCache.replaceAll(groups);
+    this.chats.noteGroups(Object.values(groups));
+    this.logger.info({ groups: Object.keys(groups).length }, '👥 Group metadata cached');
+    return groups;
+  }
+
+  async clearAuthState() {
+    try {
+      await this.authStore.clear(this.id);
+      this.logger.info('🧹 Auth state cleared');
+    } catch (e) {
+      this.logger.error({ err: e }, 'Failed to clear auth state');
+    }
+  }
+
+  // ===== AUTH BACKUP =====
+
+  exportAuthState(passphrase) {
+    return this.authStore.exportSession(this.id, passphrase);
+  }
+
+  // Swap in the credentials from a backup and connect with them
+  async importAuthState(backup, passphrase) {
+    const entries = this.authStore.openBackup(backup, passphrase);
+    // The old socket must not write its keys over the restored ones
+    this.closeSocket();
+    this.reconnect.cancel();
+    const count = await this.authStore.restoreSession(this.id, entries);
+    this.logger.info({ keyCount: count }, '📥 Auth state restored from backup');
+    this.restart();
+    return count;
+  }
+
+  // ===== CHAT IMPORT =====
+
+  /**
+   * Add a WhatsApp "Export chat" file (.txt, or the zip with media) to the
+   * message store. Messages already stored - from an earlier import of the
+   * same chat, or received live - are skipped.
+   * @param {string} chatId
+   * @param {Buffer} upload
+   * @param {object} opts
+   * @param {string} [opts.timezone] - of the phone that exported it
+   * @param {'dmy'|'mdy'} [opts.dateOrder]
+   * @param {string} [opts.selfName] - our name in the export; defaults to our profile name
+   */
+  importChat(chatId, upload, { timezone, dateOrder, selfName }) {
+    const { text, files } = readExport(upload);
+    const entries = parseExport(text, { timezone, dateOrder });
+    if (!entries.length) {
+      throw new ChatArchiveError('No messages found - is this a WhatsApp chat export?');
+    }
+
+    // Live messages have real IDs and seconds; match them the way the
+    // export shows them, one stored message per exported line
+    const live = new Map();
+    for (const m of this.messageStore.range(chatId, 0, Infinity)) {
+      if (m.imported) continue;
+      const key = dedupeKey(m);
+      live.set(key, (live.get(key) || 0) + 1);
+    }
+
+    const messages = toMessages(entries, {
+      chatId,
+      selfName: selfName || this.userInfo?.name || null,
+      selfJid: this.sock?.user?.id ? jidNormalizedUser(this.sock.user.id) : null,
+      resolveSender: (name) => /^\+[\d\s()-]{6,}$/.test(name)
+        ? `${name.replace(/\D/g, '')}@s.whatsapp.net`
+        : this.chats.contactIdByName(name),
+      files
+    });
+
+    const result = { chatId, parsed: entries.length, imported: 0, duplicates: 0, media: 0 };
+    let newest = null;
+    for (const { message, file } of messages) {
+      const stored = this.messageStore.get(chatId, message.id);
+      if (stored) {
+        // Imported from the .txt before, now with the media zip
+        if (file && stored.media && !this.media.has(stored.id)) {
+          const data = file();
+          this.messageStore.update(chatId, stored.id, { media: { ...stored.media, size: data.length } });
+          this.media.addLocal(stored, data, stored.media);
+          result.media++;
+        }
+        result.duplicates++;
+        continue;
+      }
+      const key = dedupeKey(message);
+      if (live.get(key) > 0) {
+        live.set(key, live.get(key) - 1);
+        result.duplicates++;
+        continue;
+      }
+
+      Object.assign(message, this.evaluateRules(message));
+      const data = file && file();
+      if (data) message.media.size = data.length;
+      this.search.add(this.messageStore.upsert(message));
+      if (data) {
+        this.media.addLocal(message, data, message.media);
+        result.media++;
+      }
+      result.imported++;
+      if (!newest || message.timestamp >= newest.timestamp) newest = message;
+    }
+
+    if (newest) this.chats.recordMessage(newest);
+    this.logger.info(result, '📥 Chat export imported');
+    return result;
+  }
+
+  // ===== OUTBOUND MESSAGES =====
+
+  async sendOutboxJob(job) {
+    const { text, mentions, quotedId, media, poll, reaction } = job.payload;
+    const options = {};
+
+    if (quotedId) {
+      const quoted = this.messageStore.get(job.chatId, quotedId);
+      if (quoted) options.quoted = toQuotedMessage(quoted);
+    }
+
+    let content;
+    if (media) {
+      content = toMediaContent(media, text);
+    } else if (poll) {
+      content = { poll: { name: poll.name, values: poll.options, selectableCount: poll.selectableCount } };
+    } else if (reaction) {
+      const target = this.messageStore.get(job.chatId, reaction.messageId);
+      if (!target) throw new SessionError('The message to react to is no longer stored', 404, 'MESSAGE_NOT_FOUND');
+      content = { react: { text: reaction.emoji, key: toQuotedMessage(target).key } };
+    } else {
+      content = { text, mentions };
+    }
+
+    const sent = await this.sock.sendMessage(job.chatId, content, options);
+    return { id: sent?.key?.id };
+  }
+
+  // Uploaded files only live until their job is done
+  cleanupOutboxJob(job) {
+    if (job.payload.media?.path) {
+      fs.rmSync(job.payload.media.path, { force: true });
+    }
+  }
+
+  // Where POST /chats/:id/media puts uploads until they are sent
+  get uploadDir() {
+    return path.join(this.dataDir, 'media', 'outgoing');
+  }
+}
+
+// Baileys content for an uploaded file - read from disk at send time
+function toMediaContent(media, caption) {
+  const source = { url: media.path };
+  switch (media.type) {
+    case 'image':
+      return { image: source, caption, mimetype: media.mimetype };
+    case 'video':
+      return { video: source, caption, mimetype: media.mimetype };
+    case 'audio':
+      return { audio: source, mimetype: media.mimetype };
+    default:
+      return { document: source, caption, mimetype: media.mimetype, fileName: media.fileName };
+  }
+}
+
+// { emoji: count }, most used first
+function countReactions(reactions = {}) {
+  const counts = {};
+  for (const emoji of Object.values(reactions)) counts[emoji] = (counts[emoji] || 0) + 1;
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+}
+
+// Rebuild the minimal WAMessage Baileys needs to render a reply
+function toQuotedMessage(stored) {
+  return {
+    key: {
+      remoteJid: stored.chatId,
+      id: stored.id,
+      fromMe: stored.fromMe,
+      participant: stored.fromMe ? undefined : stored.sender
+    },
+    message: { conversation: stored.text || '' }
+  };
+}
+
+module.exports = { Session, SessionError, countReactions };
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { JsonFile } = require('./jsonFile');
+const { Session, SessionError } = require('./session');
+const { logger } = require('./logger');
+
+// ============ SESSION MANAGER ============
+// Registry of linked accounts, persisted in `<dataDir>/sessions.json`.
+// Each session's credentials live in the auth store under its ID, and
+// its messages and outbox in `<dataDir>/sessions/<id>/`.
+
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
+const log = logger.child({ module: 'sessions' });
+
+class SessionManager {
+  /**
+   * @param {object} opts
+   * @param {import('./authState').AuthStore} opts.authStore
+   * @param {string} opts.authRoot - folder of the file store, and of auth
+   *   state to import when the store is SQLite
+   * @param {string} opts.dataDir
+   * @param {string} opts.defaultSessionId - used by the unscoped routes
+   * @param {object} opts.logger
+   * @param {number} opts.messageRetention
+   * @param {number} opts.mediaCacheBytes
+   * @param {import('./rules').Rules} opts.rules
+   * @param {(type: string, data: object) => void} opts.onEvent
+   * @param {Function} [opts.createSocket] - socket factory from src/socket.js
+   */
+  constructor({ authStore, authRoot, dataDir, defaultSessionId, logger, messageRetention, mediaCacheBytes, rules, onEvent, createSocket }) {
+    this.authStore = authStore;
+    this.authRoot = authRoot;
+    this.dataDir = dataDir;
+    this.defaultSessionId = defaultSessionId;
+    this.sessionOptions = { logger, messageRetention, mediaCacheBytes, rules, onEvent, createSocket };
+    this.sessions = new Map();
+
+    this.migrateLegacyLayout();
+    this.registry = new JsonFile(path.join(dataDir, 'sessions.json'), { sessions: [] });
+
+    if (!this.registry.data.sessions.some(s => s.id === defaultSessionId)) {
+      this.registry.data.sessions.unshift({ id: defaultSessionId, name: defaultSessionId, createdAt: Date.now() });
+      this.registry.flush();
+    }
+    for (const entry of this.registry.data.sessions) {
+      this.sessions.set(entry.id, this.build(entry));
+    }
+  }
+
+  // Before multi-session support there was a single account stored
+  // directly in the auth root and data dir - move it into the default session
+  migrateLegacyLayout() {
+    const defaultAuth = path.join(this.authRoot, this.defaultSessionId);
+    if (fs.existsSync(path.join(this.authRoot, 'creds.json')) && !fs.existsSync(defaultAuth)) {
+      log.info({ sessionId: this.defaultSessionId }, '📦 Moving existing auth state into the default session');
+      const files = fs.readdirSync(this.authRoot);
+      fs.mkdirSync(defaultAuth, { recursive: true });
+      for (const name of files) {
+        fs.renameSync(path.join(this.authRoot, name), path.join(defaultAuth, name));
+      }
+    }
+
+    const defaultData = this.sessionDataDir(this.defaultSessionId);
+    for (const name of ['messages', 'outbox.json']) {
+      const legacy = path.join(this.dataDir, name);
+      if (fs.existsSync(legacy) && !fs.existsSync(path.join(defaultData, name))) {
+        fs.mkdirSync(defaultData, { recursive: true });
+        fs.renameSync(legacy, path.join(defaultData, name));
+      }
+    }
+  }
+
+  sessionDataDir(id) {
+    return path.join(this.dataDir, 'sessions', id);
+  }
+
+  build(entry) {
+    return new Session({
+      ...this.sessionOptions,
+      id: entry.id,
+      name: entry.name,
+      authStore: this.authStore,
+      dataDir: this.sessionDataDir(entry.id)
+    });
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  getDefault() {
+    return this.sessions.get(this.defaultSessionId);
+  }
+
+  list() {
+    return [...this.sessions.values()];
+  }
+
+  async startAll() {
+    for (const session of this.sessions.values()) {
+      try {
+        await this.prepareAuthState(session.id);
+      } catch (err) {
+        session.logger.error({ err }, 'Failed to prepare auth state');
+      }
+      session.connect();
+    }
+  }
+
+  // Bring stored auth state up to the current settings: import a file
+  // session into a fresh SQLite store, and encrypt plaintext values
+  async prepareAuthState(id) {
+    const dir = path.join(this.authRoot, id);
+    if (this.authStore.backend.type !== 'file'
+      && fs.existsSync(path.join(dir, 'creds.json'))
+      && !(await this.authStore.hasCreds(id))) {
+      const count = await this.authStore.importDirectory(id, dir);
+      log.info({ sessionId: id, count, dir }, '📦 Imported auth files into the auth store');
+    }
+    const encrypted = await this.authStore.encryptPlaintext(id);
+    if (encrypted) log.info({ sessionId: id, count: encrypted }, '🔐 Encrypted stored auth values');
+  }
+
+  create({ id, name }) {
+    if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) {
+      throw new SessionError('id must be 1-32 letters, digits, "-" or "_"');
+    }
+    if (this.sessions.has(id)) {
+      throw new SessionError(`Session "${id}" already exists`, 409, 'SESSION_EXISTS');
+    }
+
+    const entry = { id, name: name || id, createdAt: Date.now() };
+    this.registry.data.sessions.push(entry);
+    this.registry.flush();
+
+    const session = this.build(entry);
+    this.sessions.set(id, session);
+    session.connect();
+    return session;
+  }
+
+  rename(id, name) {
+    const session = this.get(id);
+    if (!session) return null;
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new SessionError('name must be a non-empty string');
+    }
+
+    session.name = name;
+    this.registry.data.sessions.find(s => s.id === id).name = name;
+    this.registry.flush();
+    return session;
+  }
+
+  // Log out (best effort), stop, and delete the session's auth and data
+  async remove(id) {
+    const session = this.get(id);
+    if (!session) return false;
+    if (id === this.defaultSessionId) {
+      throw new SessionError('The default session cannot be deleted', 409);
+    }
+
+    try {
+      await session.logout();
+    } catch (err) {
+      session.logger.warn({ err }, 'Logout during delete failed');
+    }
+    session.stop();
+
+    this.sessions.delete(id);
+    this.registry.data.sessions = this.registry.data.sessions.filter(s => s.id !== id);
+    this.registry.flush();
+
+    await this.authStore.clear(id);
+    fs.rmSync(session.dataDir, { recursive: true, force: true });
+    return true;
+  }
+
+  // Server exit; see Session.shutdown()
+  async shutdown() {
+    await Promise.allSettled(this.list().map(session => session.shutdown()));
+  }
+
+  flush() {
+    for (const session of this.sessions.values()) session.flush();
+    this.registry.flush();
+  }
+}
+
+module.exports = { SessionManager, SessionError };
@@ -0,0 +1,596 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { Boom } = require('@hapi/boom');
+const { DisconnectReason, isJidGroup, jidNormalizedUser } = require('@whiskeysockets/baileys');
+const { optionHash } = require('./polls');
+
+// ============ SIMULATOR ============
+// A WhatsApp account without WhatsApp, for WA_MODE=simulator. Sockets
+// play a script from a fixture file - QR codes, the scan, open, and
+// closes with real DisconnectReason codes - and serve the fixture's
+// contacts, groups and messages. Sends, group changes and chat actions
+// are accepted and answered the way Baileys would.
+//
+// Fixture `connections` holds one script per connection: the first
+// socket of a session plays the first, the next socket the second, and
+// the last one repeats. A script is a list of steps, each waiting
+// `after` ms from the previous one:
+//
+//   { "qr": "..." }         show a QR code (skipped once linked)
+//   { "scan": true }        the phone scans it (skipped once linked)
+//   { "open": true }        connection opens (skipped until linked)
+//   { "close": "connectionLost" }   or a status code, e.g. 503
+//   { "message": { "chatId", "sender", "text", "pushName" } }
+//
+// As with WhatsApp, a scan closes the socket with restartRequired and
+// the session reconnects, now linked. Poll votes only come through if
+// the session's getMessage() knows the poll, as with Baileys.
+
+const DISCONNECT_REASONS = Object.keys(DisconnectReason).filter(name => Number.isNaN(Number(name)));
+const STEP_ACTIONS = ['qr', 'scan', 'open', 'close', 'message'];
+const DEFAULT_PAIRING_DELAY_MS = 5000;
+// Between handing out the credentials and asking for the restart, so
+// they are saved before the session reconnects
+const RESTART_AFTER_LINK_MS = 1000;
+const PAIRING_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTVWXYZ123456789';
+const INVITE_CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+class SimulatorError extends Error {
+  constructor(message, statusCode = 400, code) {
+    super(message);
+    this.name = 'SimulatorError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// A DisconnectReason name or a status code -> the status code
+function reasonCode(reason) {
+  if (Number.isInteger(reason)) return reason;
+  if (DISCONNECT_REASONS.includes(reason)) return DisconnectReason[reason];
+  throw new SimulatorError(`Unknown disconnect reason "${reason}"; use a status code or one of: ${DISCONNECT_REASONS.join(', ')}`);
+}
+
+function closeError(statusCode) {
+  const name = DISCONNECT_REASONS.find(n => DisconnectReason[n] === statusCode);
+  return new Boom(name ? `Simulated ${name}` : 'Simulated disconnect', { statusCode });
+}
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+function randomString(chars, length) {
+  return Array.from(crypto.randomBytes(length), b => chars[b % chars.length]).join('');
+}
+
+// Looks like the IDs WhatsApp gives our own messages
+function messageId() {
+  return '3EB0' + crypto.randomBytes(8).toString('hex').toUpperCase();
+}
+
+function checkStep(step, where) {
+  const actions = STEP_ACTIONS.filter(action => step[action] !== undefined);
+  if (actions.length !== 1) {
+    throw new Error(`${where}: a step needs exactly one of ${STEP_ACTIONS.join(', ')}`);
+  }
+  if (step.close !== undefined) reasonCode(step.close);
+  if (step.message && (!step.message.chatId || !step.message.text)) {
+    throw new Error(`${where}: a message needs chatId and text`);
+  }
+}
+
+class Simulator {
+  /**
+   * @param {object} fixture - see src/fixtures/simulator.json
+   */
+  constructor(fixture) {
+    if (!fixture?.user?.id) throw new Error('Simulator fixture needs user.id');
+    const connections = fixture.connections?.length ? fixture.connections : [[{ open: true }]];
+    connections.forEach((script, i) => script.forEach((step, j) => checkStep(step, `connections[${i}][${j}]`)));
+
+    this.fixture = {
+      contacts: [],
+      groups: [],
+      chats: [],
+      messages: [],
+      pairingCodeDelayMs: DEFAULT_PAIRING_DELAY_MS,
+      ...fixture,
+      connections
+    };
+    this.accounts = new Map();    // sessionId -> SimulatedAccount
+  }
+
+  static load(file) {
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Cannot read simulator fixture ${file}: ${err.message}`);
+    }
+    return new Simulator(fixture);
+  }
+
+  // Each session is its own account; groups created or changed live as
+  // long as the process
+  account(sessionId) {
+    let account = this.accounts.get(sessionId);
+    if (!account) {
+      account = new SimulatedAccount(this.fixture);
+      this.accounts.set(sessionId, account);
+    }
+    return account;
+  }
+
+  createSocket({ sessionId, state, logger, getMessage = async () => undefined }) {
+    const account = this.account(sessionId);
+    const scripts = this.fixture.connections;
+    const script = scripts[Math.min(account.connections, scripts.length - 1)];
+    account.connections++;
+    account.socket = new SimulatedSocket({
+      account,
+      fixture: this.fixture,
+      state,
+      script,
+      getMessage,
+      logger: logger.child({ module: 'simulator' })
+    });
+    return account.socket;
+  }
+
+  // The session's live socket, for the control routes
+  socketFor(sessionId) {
+    const sock = this.accounts.get(sessionId)?.socket;
+    if (!sock || sock.ended) {
+      throw new SimulatorError('The session has no simulated connection right now', 503, 'NOT_CONNECTED');
+    }
+    return sock;
+  }
+}
+
+// What WhatsApp's servers know about one account
+class SimulatedAccount {
+  constructor(fixture) {
+    this.connections = 0;
+    this.historySent = false;
+    this.socket = null;
+    this.inviteCodes = new Map();  // group ID -> code
+    this.groups = new Map(fixture.groups.map(group => [group.id, toGroupMetadata(group)]));
+  }
+}
+
+function toGroupMetadata({ id, subject, description, owner, creation, announce, locked, participants = [] }) {
+  return {
+    id,
+    subject,
+    owner,
+    desc: description,
+    creation: creation || nowSeconds(),
+    announce: !!announce,
+    restrict: !!locked,
+    participants: participants.map(p => ({ id: p.id, admin: p.admin || null }))
+  };
+}
+
+class SimulatedSocket {
+  constructor({ account, fixture, state, script, getMessage, logger }) {
+    this.account = account;
+    this.fixture = fixture;
+    this.getMessage = getMessage;
+    this.logger = logger;
+    this.ev = new EventEmitter();
+    this.authState = state;
+    // Baileys knows who we are from the credentials, before the connection opens
+    this.user = state.creds.registered ? { ...fixture.user } : null;
+    this.isOpen = false;
+    this.ended = false;
+    this.linking = false;         // scanned, restart pending
+    this.timer = null;
+    this.pairingTimer = null;
+
+    // Listeners are attached once the factory returns
+    setImmediate(() => this.play(script, 0));
+  }
+
+  emit(event, data) {
+    this.ev.emit(event, data);
+  }
+
+  get linked() {
+    return !!this.authState.creds.registered;
+  }
+
+  get selfJid() {
+    return jidNormalizedUser(this.fixture.user.id);
+  }
+
+  // ===== SCRIPT =====
+
+  play(script, index) {
+    if (this.ended || this.linking || index >= script.length) return;
+    const step = script[index];
+    if (!this.applies(step)) return this.play(script, index + 1);
+
+    this.timer = setTimeout(() => {
+      this.logger.debug({ step }, 'Simulator step');
+      if (step.qr !== undefined) this.emit('connection.update', { qr: step.qr });
+      if (step.scan) this.scan();
+      if (step.open) this.open();
+      if (step.close !== undefined) this.close(step.close);
+      if (step.message) this.receive(step.message);
+      this.play(script, index + 1);
+    }, step.after || 0);
+    this.timer.unref?.();
+  }
+
+  applies(step) {
+    if (step.qr !== undefined || step.scan) return !this.linked;
+    if (step.open) return this.linked;
+    if (step.message) return this.isOpen;
+    return true;
+  }
+
+  // ===== CONNECTION =====
+
+  // The phone links this device: WhatsApp sends the credentials, then
+  // asks for a restart
+  scan() {
+    if (this.ended || this.linking) return;
+    if (this.linked) throw new SimulatorError('The session is already linked', 409, 'ALREADY_LINKED');
+    this.linking = true;
+    clearTimeout(this.timer);
+    clearTimeout(this.pairingTimer);
+    const { id, lid, name } = this.fixture.user;
+    Object.assign(this.authState.creds, { registered: true, me: { id, lid, name } });
+    this.emit('creds.update', { registered: true, me: this.authState.creds.me });
+    this.logger.info('📱 Simulated phone linked');
+    this.timer = setTimeout(() => this.end(closeError(DisconnectReason.restartRequired)), RESTART_AFTER_LINK_MS);
+    this.timer.unref?.();
+  }
+
+  open() {
+    if (this.ended || this.isOpen) return;
+    this.isOpen = true;
+    this.user = { ...this.fixture.user };
+    this.emit('connection.update', { connection: 'open' });
+
+    // A newly linked device gets the history once
+    if (this.account.historySent) return;
+    this.account.historySent = true;
+    const history = this.fixture.messages.map((m, i) => this.toWAMessage(m, {
+      id: crypto.createHash('sha1').update(`${m.chatId}:${i}`).digest('hex').slice(0, 20).toUpperCase(),
+      timestamp: nowSeconds() - Math.round((m.minutesAgo || 0) * 60)
+    }));
+    this.emit('messaging-history.set', {
+      chats: this.historyChats(history),
+      contacts: this.fixture.contacts.map(({ id, name, notify }) => ({ id, name, notify })),
+      messages: [],
+      isLatest: true
+    });
+    if (history.length) this.emit('messages.upsert', { messages: history, type: 'append' });
+  }
+
+  // Every chat with a group, a message or an entry in the fixture
+  historyChats(history) {
+    const chats = new Map();
+    const chat = (id) => chats.get(id) || chats.set(id, { id }).get(id);
+    for (const group of this.account.groups.values()) chat(group.id).name = group.subject;
+    for (const msg of history) chat(msg.key.remoteJid).conversationTimestamp = msg.messageTimestamp;
+    for (const entry of this.fixture.chats) Object.assign(chat(entry.id), entry);
+    return [...chats.values()];
+  }
+
+  // Like Baileys' end(): closes with the given error, or connectionClosed
+  end(error) {
+    if (this.ended) return;
+    this.ended = true;
+    this.isOpen = false;
+    clearTimeout(this.timer);
+    clearTimeout(this.pairingTimer);
+    this.emit('connection.update', {
+      connection: 'close',
+      lastDisconnect: { error: error || closeError(DisconnectReason.connectionClosed), date: new Date() }
+    });
+  }
+
+  /** @param {string|number} reason - DisconnectReason name or status code */
+  close(reason) {
+    const statusCode = reasonCode(reason);
+    this.logger.info({ code: statusCode }, '🔌 Simulated disconnect');
+    this.end(closeError(statusCode));
+  }
+
+  async logout() {
+    this.end(new Boom('Intentional Logout', { statusCode: DisconnectReason.loggedOut }));
+  }
+
+  async requestPairingCode(phoneNumber) {
+    if (this.linked) throw new Boom('Already linked', { statusCode: 409 });
+    const code = randomString(PAIRING_CODE_CHARS, 8);
+    // Typing the code on the phone takes a moment
+    clearTimeout(this.pairingTimer);
+    this.pairingTimer = setTimeout(() => this.scan(), this.fixture.pairingCodeDelayMs);
+    this.pairingTimer.unref?.();
+    this.logger.info({ phoneNumber, code }, '🔢 Simulated pairing code issued');
+    return code;
+  }
+
+  requireOpen() {
+    if (!this.isOpen) throw new Boom('Connection Closed', { statusCode: DisconnectReason.connectionClosed });
+  }
+
+  // ===== MESSAGES =====
+
+  toWAMessage({ chatId, sender, pushName, text, fromMe }, { id, timestamp }) {
+    const from = sender || chatId;
+    const contact = this.fixture.contacts.find(c => c.id === from);
+    return {
+      key: {
+        remoteJid: chatId,
+        id,
+        fromMe: !!fromMe,
+        ...(isJidGroup(chatId) && !fromMe && { participant: from })
+      },
+      message: { conversation: text },
+      messageTimestamp: timestamp,
+      pushName: fromMe ? this.fixture.user.name : (pushName || contact?.notify || contact?.name || null)
+    };
+  }
+
+  /**
+   * An incoming message, as if someone had just sent it
+   * @returns {object} the WAMessage
+   */
+  receive(message) {
+    this.requireOpen();
+    const msg = this.toWAMessage(message, {
+      id: crypto.randomBytes(10).toString('hex').toUpperCase(),
+      timestamp: nowSeconds()
+    });
+    this.emit('messages.upsert', { messages: [msg], type: 'notify' });
+    return msg;
+  }
+
+  /**
+   * A reaction from someone else; an empty emoji takes it back
+   * @param {object} key - the message reacted to
+   */
+  react(key, { sender, emoji }) {
+    this.requireOpen();
+    this.emit('messages.reaction', [{
+      key,
+      reaction: {
+        key: { remoteJid: key.remoteJid, id: messageId(), fromMe: false, participant: sender },
+        text: emoji,
+        senderTimestampMs: Date.now()
+      }
+    }]);
+  }
+
+  /**
+   * Someone votes on a poll (no options takes the vote back). Baileys
+   * asks getMessage() for the poll before it can decrypt the vote.
+   * @param {object} key - the poll creation message
+   */
+  async vote(key, { voter, options }) {
+    this.requireOpen();
+    const poll = (await this.getMessage(key))?.pollCreationMessage;
+    if (!poll) throw new SimulatorError('The session does not know this poll', 404, 'POLL_NOT_FOUND');
+    const names = poll.options.map(o => o.optionName);
+    const unknown = options.filter(name => !names.includes(name));
+    if (unknown.length) throw new SimulatorError(`Not an option of this poll: ${unknown.join(', ')}`);
+
+    this.emit('messages.update', [{
+      key,
+      update: {
+        pollUpdates: [{
+          pollUpdateMessageKey: { remoteJid: key.remoteJid, id: messageId(), fromMe: false, participant: voter },
+          vote: { selectedOptions: options.map(name => Buffer.from(optionHash(name), 'hex')) },
+          senderTimestampMs: Date.now()
+        }]
+      }
+    }]);
+  }
+
+  async sendMessage(jid, content, options = {}) {
+    this.requireOpen();
+    const msg = {
+      key: { remoteJid: jid, fromMe: true, id: messageId() },
+      message: toMessageContent(content, options),
+      messageTimestamp: nowSeconds(),
+      status: 2
+    };
+    // Baileys echoes our own sends as an upsert, and reactions as a reaction
+    setImmediate(() => {
+      this.emit('messages.upsert', { messages: [msg], type: 'append' });
+      if (content.react) {
+        this.emit('messages.reaction', [{ key: content.react.key, reaction: { ...msg.message.reactionMessage, key: msg.key } }]);
+      }
+    });
+    return msg;
+  }
+
+  async readMessages() {
+    this.requireOpen();
+  }
+
+  async chatModify() {
+    this.requireOpen();
+  }
+
+  // ===== PRESENCE =====
+
+  async sendPresenceUpdate() {
+    this.requireOpen();
+  }
+
+  // Answers with what the fixture says about the contact, or the group's members
+  async presenceSubscribe(jid) {
+    this.requireOpen();
+    const members = isJidGroup(jid)
+      ? (this.account.groups.get(jid)?.participants || []).map(p => p.id)
+      : [jid];
+    const presences = {};
+    for (const contact of this.fixture.contacts) {
+      if (!members.includes(contact.id) || !contact.presence) continue;
+      presences[contact.id] = {
+        lastKnownPresence: contact.presence,
+        ...(contact.presence === 'unavailable' && { lastSeen: nowSeconds() - 600 })
+      };
+    }
+    setImmediate(() => this.emit('presence.update', { id: jid, presences }));
+  }
+
+  // ===== GROUPS =====
+
+  group(jid) {
+    const group = this.account.groups.get(jid);
+    if (!group) throw new Boom('item-not-found', { statusCode: 404 });
+    return group;
+  }
+
+  isMember(group) {
+    return group.participants.some(p => p.id === this.selfJid);
+  }
+
+  async groupMetadata(jid) {
+    this.requireOpen();
+    const group = this.group(jid);
+    if (!this.isMember(group)) throw new Boom('forbidden', { statusCode: 403 });
+    return structuredClone(group);
+  }
+
+  async groupFetchAllParticipating() {
+    this.requireOpen();
+    const groups = {};
+    for (const group of this.account.groups.values()) {
+      if (this.isMember(group)) groups[group.id] = structuredClone(group);
+    }
+    return groups;
+  }
+
+  async groupCreate(subject, participants) {
+    this.requireOpen();
+    const group = toGroupMetadata({
+      id: `120363${crypto.randomInt(1e11, 1e12)}@g.us`,
+      subject,
+      owner: this.selfJid,
+      participants: [
+        { id: this.selfJid, admin: 'superadmin' },
+        ...participants.filter(id => id !== this.selfJid).map(id => ({ id }))
+      ]
+    });
+    this.account.groups.set(group.id, group);
+    this.emit('groups.upsert', [structuredClone(group)]);
+    return structuredClone(group);
+  }
+
+  async groupParticipantsUpdate(jid, participants, action) {
+    this.requireOpen();
+    const group = this.group(jid);
+    const results = participants.map(id => {
+      const index = group.participants.findIndex(p => p.id === id);
+      if (action === 'add') {
+        if (index !== -1) return { jid: id, status: '409' };
+        group.participants.push({ id, admin: null });
+      } else {
+        if (index === -1) return { jid: id, status: '404' };
+        if (action === 'remove') group.participants.splice(index, 1);
+        else group.participants[index].admin = action === 'promote' ? 'admin' : null;
+      }
+      return { jid: id, status: '200' };
+    });
+
+    const changed = results.filter(r => r.status === '200').map(r => r.jid);
+    if (changed.length) {
+      this.emit('group-participants.update', { id: jid, author: this.selfJid, participants: changed, action });
+    }
+    return results;
+  }
+
+  updateGroup(jid, changes) {
+    this.requireOpen();
+    Object.assign(this.group(jid), changes);
+    this.emit('groups.update', [{ id: jid, author: this.selfJid, ...changes }]);
+  }
+
+  async groupUpdateSubject(jid, subject) {
+    this.updateGroup(jid, { subject });
+  }
+
+  async groupUpdateDescription(jid, description) {
+    this.updateGroup(jid, { desc: description });
+  }
+
+  async groupSettingUpdate(jid, setting) {
+    const changes = {
+      announcement: { announce: true },
+      not_announcement: { announce: false },
+      locked: { restrict: true },
+      unlocked: { restrict: false }
+    }[setting];
+    this.updateGroup(jid, changes);
+  }
+
+  async groupInviteCode(jid) {
+    this.requireOpen();
+    this.group(jid);
+    if (!this.account.inviteCodes.has(jid)) {
+      this.account.inviteCodes.set(jid, randomString(INVITE_CODE_CHARS, 22));
+    }
+    return this.account.inviteCodes.get(jid);
+  }
+
+  async groupRevokeInvite(jid) {
+    this.requireOpen();
+    this.group(jid);
+    this.account.inviteCodes.delete(jid);
+    return this.groupInviteCode(jid);
+  }
+}
+
+// Baileys content -> the message proto fields it would send
+function toMessageContent(content, options) {
+  const contextInfo = {
+    ...(content.mentions?.length && { mentionedJid: content.mentions }),
+    ...(options.quoted && {
+      stanzaId: options.quoted.key.id,
+      participant: options.quoted.key.participant || options.quoted.key.remoteJid,
+      quotedMessage: options.quoted.message
+    })
+  };
+
+  if (content.poll) {
+    const { name, values, selectableCount = 0 } = content.poll;
+    return {
+      // The secret votes are encrypted with
+      messageContextInfo: { messageSecret: crypto.randomBytes(32) },
+      [selectableCount === 1 ? 'pollCreationMessageV3' : 'pollCreationMessage']: {
+        name,
+        options: values.map(optionName => ({ optionName })),
+        selectableOptionsCount: selectableCount
+      }
+    };
+  }
+  if (content.react) {
+    return { reactionMessage: { key: content.react.key, text: content.react.text, senderTimestampMs: Date.now() } };
+  }
+  if (content.text !== undefined) {
+    return Object.keys(contextInfo).length
+      ? { extendedTextMessage: { text: content.text, contextInfo } }
+      : { conversation: content.text };
+  }
+  // No media keys, so there is nothing to download later
+  for (const type of ['image', 'video', 'audio', 'document']) {
+    if (!content[type]) continue;
+    return {
+      [`${type}Message`]: {
+        caption: content.caption,
+        mimetype: content.mimetype,
+        fileName: content.fileName
+      }
+    };
+  }
+  throw new Boom('The simulator cannot send this kind of message', { statusCode: 400 });
+}
+
+module.exports = { Simulator, SimulatorError, DISCONNECT_REASONS };
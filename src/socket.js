@@ -0,0 +1,67 @@
+const {
+  default: makeWASocket,
+  fetchLatestBaileysVersion,
+  makeCacheableSignalKeyStore
+} = require('@whiskeysockets/baileys');
+const { Simulator } = require('./simulator');
+
+// ============ SOCKET ADAPTER ============
+// Sessions never call makeWASocket() themselves; they get their socket
+// from a factory chosen by WA_MODE:
+//
+//   baileys    the real WhatsApp Web connection (default)
+//   simulator  a scripted account from a fixture file, no network
+//
+// Both return an object with Baileys' socket interface: `ev`, `user`,
+// `authState`, and the send/group/chat calls the session uses.
+
+const WA_MODES = ['baileys', 'simulator'];
+
+/**
+ * @param {object} opts
+ * @param {string} opts.sessionId
+ * @param {{ creds: object, keys: object }} opts.state - from the auth store
+ * @param {import('pino').Logger} opts.logger - the session's logger
+ * @param {(jid: string) => Promise<object|undefined>} opts.cachedGroupMetadata
+ * @param {(key: object) => Promise<object|undefined>} opts.getMessage - stored message content by key
+ */
+async function createBaileysSocket({ state, logger, cachedGroupMetadata, getMessage }) {
+  const { version, isLatest } = await fetchLatestBaileysVersion();
+  logger.info({ version: version.join('.'), isLatest }, '📱 Using WA version');
+
+  // Minimal config following official docs
+  const baileysLogger = logger.child({ module: 'baileys' });
+  return makeWASocket({
+    version,
+    logger: baileysLogger,
+    printQRInTerminal: true,
+    auth: {
+      creds: state.creds,
+      keys: makeCacheableSignalKeyStore(state.keys, baileysLogger)
+    },
+    browser: ['FocusWave', 'Chrome', '120.0.0'],
+    generateHighQualityLinkPreview: false,
+    // Saves a groupMetadata() round trip for every message sent to a group
+    cachedGroupMetadata,
+    getMessage
+  });
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.mode - one of WA_MODES
+ * @param {string} [opts.fixture] - simulator fixture file
+ * @returns {{ createSocket: Function, simulator: Simulator|null }}
+ */
+function createSocketFactory({ mode, fixture }) {
+  if (mode === 'baileys') {
+    return { createSocket: createBaileysSocket, simulator: null };
+  }
+  if (mode === 'simulator') {
+    const simulator = Simulator.load(fixture);
+    return { createSocket: async (opts) => simulator.createSocket(opts), simulator };
+  }
+  throw new Error(`WA_MODE must be one of: ${WA_MODES.join(', ')}`);
+}
+
+module.exports = { createSocketFactory, createBaileysSocket, WA_MODES };
@@ -0,0 +1,197 @@
+const { ApiError } = require('./errors');
+
+// ============ REQUEST VALIDATION ============
+// Checks path, query and JSON body against the OpenAPI document before
+// the route runs, so every bad request gets the same INVALID_REQUEST
+// error listing each problem. Covers the part of JSON Schema the document
+// uses: type, nullable, enum, required, properties, additionalProperties,
+// items, oneOf, min/max(imum|Length|Items), pattern and our formats.
+// minLength counts trimmed characters, so "   " is an empty text.
+
+const FORMATS = {
+  // ISO date or unix milliseconds, as routes parse with parseTime()
+  timestamp: (value) => /^\d+$/.test(String(value)) || !Number.isNaN(Date.parse(value)),
+  timezone: (value) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+  uri: (value) => /^https?:\/\/\S+$/.test(value)
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Problems with `value`, as { field, message } - empty when it's valid.
+ * @param {string} field - dotted path used in the messages
+ */
+function check(schema, value, field, resolve) {
+  schema = resolve(schema);
+  if (value === null && schema.nullable) return [];
+
+  if (schema.oneOf) {
+    const passing = schema.oneOf.filter(s => check(s, value, field, resolve).length === 0);
+    if (passing.length === 1) return [];
+    return [{ field, message: schema['x-error'] || 'does not match any allowed form' }];
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ field, message: `must be ${article(schema.type)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field, message: `must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const problems = [];
+  const fail = (message) => problems.push({ field, message });
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema['x-error'] || `must match ${schema.pattern}`);
+    }
+  }
+  if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    fail(schema['x-error'] || `must be a valid ${schema.format}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => problems.push(...check(schema.items, item, `${field}[${i}]`, resolve)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const prefix = field ? `${field}.` : '';
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) problems.push({ field: prefix + name, message: 'is required' });
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      const property = schema.properties?.[name];
+      if (property) {
+        problems.push(...check(property, item, prefix + name, resolve));
+      } else if (schema.additionalProperties === false) {
+        problems.push({ field: prefix + name, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...check(schema.additionalProperties, item, prefix + name, resolve));
+      }
+    }
+  }
+
+  return problems;
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+// Query and path values arrive as strings; read them as the schema's type
+function coerce(schema, value) {
+  if (typeof value !== 'string') return value;
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case 'number':
+      return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      if (value === 'true' || value === '1') return true;
+      if (value === 'false' || value === '0') return false;
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * @param {object} spec - the OpenAPI document
+ * @returns {(operationId: string) => Function} middleware factory;
+ *   throws at startup for an operationId the document doesn't have
+ */
+function createValidator(spec) {
+  const resolve = (schema) => {
+    while (schema?.$ref) {
+      schema = schema.$ref.slice(2).split('/').reduce((node, key) => node[key], spec);
+    }
+    return schema;
+  };
+
+  const operations = new Map();
+  for (const item of Object.values(spec.paths)) {
+    for (const [method, operation] of Object.entries(item)) {
+      if (method === 'parameters') continue;
+      operations.set(operation.operationId, {
+        parameters: [...(item.parameters || []), ...(operation.parameters || [])].map(resolve),
+        body: resolve(operation.requestBody)?.content?.['application/json']?.schema
+      });
+    }
+  }
+
+  return function validate(operationId) {
+    const operation = operations.get(operationId);
+    if (!operation) throw new Error(`No operation "${operationId}" in the OpenAPI document`);
+
+    return (req, res, next) => {
+      // Where the request matched, for metrics. Express clears baseUrl
+      // again before an error reaches the app's error handler.
+      res.locals.route = req.baseUrl + req.route.path;
+
+      const problems = [];
+      for (const param of operation.parameters) {
+        // Session routes mounted at the root have no sessionId
+        if (param.in === 'path' && !(param.name in req.params)) continue;
+        const source = param.in === 'path' ? req.params : req.query;
+        const raw = source[param.name];
+        if (raw === undefined || raw === '') {
+          if (param.required) problems.push({ in: param.in, field: param.name, message: 'is required' });
+          continue;
+        }
+        const schema = resolve(param.schema);
+        for (const problem of check(schema, coerce(schema, raw), param.name, resolve)) {
+          problems.push({ in: param.in, ...problem });
+        }
+      }
+      if (operation.body) {
+        for (const problem of check(operation.body, req.body ?? {}, '', resolve)) {
+          problems.push({ in: 'body', ...problem, field: problem.field || 'body' });
+        }
+      }
+
+      if (problems.length > 0) {
+        const message = problems.map(p => `${p.field} ${p.message}`).join('; ');
+        return next(new ApiError('INVALID_REQUEST', message, problems));
+      }
+      next();
+    };
+  };
+}
+
+module.exports = { createValidator };
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const path = require('path');
+const { JsonFile } = require('./jsonFile');
+const { logger } = require('./logger');
+
+// ============ WEBHOOKS ============
+// Registered endpoints receive signed JSON POSTs for the event types
+// they subscribe to. Failed deliveries are retried with exponential
+// backoff and end up in a dead-letter list after MAX_ATTEMPTS.
+
+const EVENT_TYPES = [
+  'connection.update',
+  'message.new',
+  'poll.update',
+  'group.participants.update',
+  'group.update',
+  'rule.alert'
+];
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const CONCURRENCY = 5;
+const KEEP_DEAD_LETTERS = 500;
+// An endpoint that is down for long piles up deliveries; past this the
+// oldest ones are dead-lettered
+const MAX_PENDING = 10000;
+
+const log = logger.child({ module: 'webhooks' });
+
+class WebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * HMAC-SHA256 over `${timestamp}.${body}`. Receivers should recompute it
+ * from the raw request body and the X-FocusWave-Timestamp header.
+ */
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function validateEndpoint({ url, events }) {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new WebhookError('url must be a valid URL');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new WebhookError('url must be http or https');
+    }
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new WebhookError('events must be a non-empty array');
+    }
+    const unknown = events.filter(e => e !== '*' && !EVENT_TYPES.includes(e));
+    if (unknown.length) {
+      throw new WebhookError(`Unknown event types: ${unknown.join(', ')}`);
+    }
+  }
+}
+
+// Endpoint as returned by the API - the secret is only shown on creation
+function publicEndpoint({ secret, ...endpoint }) {
+  return endpoint;
+}
+
+class Webhooks {
+  constructor(dir) {
+    this.config = new JsonFile(path.join(dir, 'webhooks.json'), { endpoints: [] });
+    this.queue = new JsonFile(path.join(dir, 'webhook-deliveries.json'), { pending: [], deadLetters: [] });
+    this.inFlight = new Set();
+    this.posts = new Set();        // promises of the deliveries under way
+    this.timer = null;
+    this.stopped = false;
+    this.schedule();
+  }
+
+  // ===== ENDPOINTS =====
+
+  list() {
+    return this.config.data.endpoints.map(publicEndpoint);
+  }
+
+  get(id) {
+    const endpoint = this.config.data.endpoints.find(e => e.id === id);
+    return endpoint ? publicEndpoint(endpoint) : null;
+  }
+
+  create({ url, events = ['*'], secret }) {
+    if (!url) throw new WebhookError('url is required');
+    validateEndpoint({ url, events });
+
+    const endpoint = {
+      id: crypto.randomUUID(),
+      url,
+      events,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      enabled: true,
+      createdAt: Date.now()
+    };
+    this.config.data.endpoints.push(endpoint);
+    this.config.save();
+    return endpoint;
+  }
+
+  update(id, { url, events, enabled }) {
+    const endpoint = this.config.data.endpoints.find(e => e.id === id);
+    if (!endpoint) return null;
+    validateEndpoint({ url, events });
+
+    if (url !== undefined) endpoint.url = url;
+    if (events !== undefined) endpoint.events = events;
+    if (enabled !== undefined) endpoint.enabled = !!enabled;
+    this.config.save();
+    return publicEndpoint(endpoint);
+  }
+
+  remove(id) {
+    const before = this.config.data.endpoints.length;
+    this.config.data.endpoints = this.config.data.endpoints.filter(e => e.id !== id);
+    if (this.config.data.endpoints.length === before) return false;
+
+    this.queue.data.pending = this.queue.data.pending.filter(d => d.endpointId !== id);
+    this.config.save();
+    this.queue.save();
+    return true;
+  }
+
+  // ===== DISPATCH =====
+
+  dispatch(type, data) {
+    // Stream-only events (QR refreshes etc.) never go out as webhooks
+    if (!EVENT_TYPES.includes(type)) return;
+
+    const targets = this.config.data.endpoints.filter(e =>
+      e.enabled && (e.events.includes('*') || e.events.includes(type))
+    );
+    if (!targets.length) return;
+
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      timestamp: Date.now(),
+      data
+    };
+    for (const endpoint of targets) this.enqueue(endpoint.id, event);
+    this.queue.save();
+    this.schedule();
+  }
+
+  enqueue(endpointId, event) {
+    this.queue.data.pending.push({
+      id: crypto.randomUUID(),
+      endpointId,
+      event,
+      attempts: 0,
+      lastError: null,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now()
+    });
+    this.capPending();
+  }
+
+  capPending() {
+    const pending = this.queue.data.pending;
+    if (pending.length <= MAX_PENDING) return;
+
+    // Oldest first; deliveries under way finish on their own
+    const overflow = pending.filter(d => !this.inFlight.has(d.id)).slice(0, pending.length - MAX_PENDING);
+    const dropped = new Set(overflow.map(d => d.id));
+    this.queue.data.pending = pending.filter(d => !dropped.has(d.id));
+    for (const delivery of overflow) {
+      delivery.lastError = 'Delivery queue full';
+      this.deadLetter(delivery, this.config.data.endpoints.find(e => e.id === delivery.endpointId));
+    }
+    log.warn({ dropped: overflow.length, max: MAX_PENDING }, '☠️  Webhook queue full - oldest deliveries dead-lettered');
+  }
+
+  // Arm the timer for the next due delivery
+  schedule() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (this.stopped) return;
+
+    const waiting = this.queue.data.pending.filter(d => !this.inFlight.has(d.id));
+    if (!waiting.length || this.inFlight.size >= CONCURRENCY) return;
+
+    let next = Infinity;
+    for (const d of waiting) next = Math.min(next, d.nextAttemptAt);
+    this.timer = setTimeout(() => this.run(), Math.max(next - Date.now(), 0));
+    this.timer.unref?.();
+  }
+
+  run() {
+    this.timer = null;
+    const now = Date.now();
+    const due = this.queue.data.pending
+      .filter(d => !this.inFlight.has(d.id) && d.nextAttemptAt <= now)
+      .slice(0, CONCURRENCY - this.inFlight.size);
+
+    for (const delivery of due) {
+      const post = this.deliver(delivery).finally(() => this.posts.delete(post));
+      this.posts.add(post);
+    }
+    this.schedule();
+  }
+
+  async deliver(delivery) {
+    this.inFlight.add(delivery.id);
+    const endpoint = this.config.data.endpoints.find(e => e.id === delivery.endpointId);
+
+    try {
+      if (!endpoint) throw new WebhookError('Endpoint no longer exists');
+      await this.post(endpoint, delivery);
+      this.queue.data.pending = this.queue.data.pending.filter(d => d.id !== delivery.id);
+    } catch (err) {
+      delivery.attempts++;
+      delivery.lastError = err.message;
+
+      if (!endpoint || delivery.attempts >= MAX_ATTEMPTS) {
+        log.error({ event: delivery.event.type, endpoint: endpoint?.url || delivery.endpointId, err }, '☠️  Webhook dead-lettered');
+        this.queue.data.pending = this.queue.data.pending.filter(d => d.id !== delivery.id);
+        this.deadLetter(delivery, endpoint);
+      } else {
+        const delay = Math.min(RETRY_BASE_MS * 2 ** (delivery.attempts - 1), RETRY_MAX_MS);
+        delivery.nextAttemptAt = Date.now() + delay;
+      }
+    } finally {
+      this.inFlight.delete(delivery.id);
+      this.queue.save();
+      this.schedule();
+    }
+  }
+
+  async post(endpoint, delivery) {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    const res = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FocusWave-Webhooks/1.0',
+        'X-FocusWave-Event': delivery.event.type,
+        'X-FocusWave-Delivery': delivery.id,
+        'X-FocusWave-Timestamp': timestamp,
+        'X-FocusWave-Signature': sign(endpoint.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!res.ok) {
+      throw new WebhookError(`HTTP ${res.status}`);
+    }
+  }
+
+  // ===== DEAD LETTERS =====
+
+  deadLetter(delivery, endpoint) {
+    const letters = this.queue.data.deadLetters;
+    letters.push({
+      id: delivery.id,
+      endpointId: delivery.endpointId,
+      url: endpoint?.url || null,
+      event: delivery.event,
+      attempts: delivery.attempts,
+      lastError: delivery.lastError,
+      createdAt: delivery.createdAt,
+      failedAt: Date.now()
+    });
+    if (letters.length > KEEP_DEAD_LETTERS) {
+      letters.splice(0, letters.length - KEEP_DEAD_LETTERS);
+    }
+  }
+
+  deadLetters() {
+    return this.queue.data.deadLetters;
+  }
+
+  // Put a dead letter back on the queue with a fresh attempt budget
+  replay(id) {
+    const letter = this.queue.data.deadLetters.find(d => d.id === id);
+    if (!letter) return null;
+    if (!this.config.data.endpoints.some(e => e.id === letter.endpointId)) {
+      throw new WebhookError('Endpoint no longer exists');
+    }
+
+    this.queue.data.deadLetters = this.queue.data.deadLetters.filter(d => d.id !== id);
+    this.enqueue(letter.endpointId, letter.event);
+    this.queue.save();
+    this.schedule();
+    return letter;
+  }
+
+  discard(id) {
+    const before = this.queue.data.deadLetters.length;
+    this.queue.data.deadLetters = this.queue.data.deadLetters.filter(d => d.id !== id);
+    this.queue.save();
+    return this.queue.data.deadLetters.length !== before;
+  }
+
+  flush() {
+    this.config.flush();
+    this.queue.flush();
+  }
+
+  // Finish the deliveries under way; the rest are sent after the next start
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await Promise.allSettled([...this.posts]);
+    this.flush();
+  }
+}
+
+module.exports = { Webhooks, WebhookError, EVENT_TYPES, sign };